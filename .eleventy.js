@@ -2,18 +2,30 @@
  * 11ty Configuration
  *
  * Features:
- * - Responsive image optimization (eleventy-img)
+ * - Responsive image optimization (lib/images.js): the image shortcode and
+ *   plain <img> tags, via the images transform
  * - Dynamic Iconify icon system
+ * - Forms rendered from src/_data/forms.js
+ * - Share images (og:image) for every page (lib/share-images.js)
+ * - schema.org structured data, checked on every page (lib/structured-data.js)
  * - HTML minification (production only)
  *
  * CSS is handled by Tailwind CLI (see package.json scripts)
  */
 
-import Image from "@11ty/eleventy-img";
 import { minify as htmlMinify } from 'html-minifier-terser';
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { toICS } from './lib/ics.js';
+import { reportFallbacks } from './lib/snapshots.js';
+import { formMiddleware } from './lib/form-server.js';
+import { renderForm } from './lib/form-markup.js';
+import { IMAGE_WIDTHS, createImagePipeline, escapeAttribute, openManifest } from './lib/images.js';
+import { createShareImages, shareCard } from './lib/share-images.js';
+import { jsonLdScript, pageSchema, validatePageHtml } from './lib/structured-data.js';
+import site from './src/_data/site.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -117,6 +129,40 @@ export default function(eleventyConfig) {
     iconCollector.reset();
   });
 
+  // One image pipeline per build, shared by the image shortcode and the images transform
+  let images;
+  eleventyConfig.on('eleventy.before', async ({ directories }) => {
+    images = createImagePipeline({
+      manifest: await openManifest(),
+      inputDir: directories.input,
+      outputDir: directories.output
+    });
+  });
+
+  eleventyConfig.on('eleventy.after', async () => {
+    await images.save();
+    const report = images.report();
+    if (report.length > 0) {
+      console.log(`[Image] Sizes (original → largest optimized file):\n  ${report.join('\n  ')}`);
+    }
+  });
+
+  // Share images are registered as pages render and written once they're done
+  let shareImages;
+  eleventyConfig.on('eleventy.before', ({ directories }) => {
+    shareImages = createShareImages({ outputDir: directories.output, siteUrl: site.url });
+  });
+
+  eleventyConfig.on('eleventy.after', async () => {
+    const { written, rendered } = await shareImages.write();
+    console.log(`[Share] Wrote ${written} share images (${rendered} rendered, ${written - rendered} from cache)`);
+  });
+
+  // Repeat any data snapshot fallbacks at the end of the build log
+  eleventyConfig.on('eleventy.after', () => {
+    reportFallbacks();
+  });
+
   // ============================================
   // PASSTHROUGH COPY
   // ============================================
@@ -125,6 +171,9 @@ export default function(eleventyConfig) {
   eleventyConfig.addPassthroughCopy("src/assets/img");
   eleventyConfig.addPassthroughCopy("src/assets/images");
   eleventyConfig.addPassthroughCopy("src/assets/favicon");
+  eleventyConfig.addPassthroughCopy("src/assets/js");
+  // Shared with the build and its tests, so it lives in lib/
+  eleventyConfig.addPassthroughCopy({ "lib/sermon-search.js": "assets/js/lib/sermon-search.js" });
   eleventyConfig.addPassthroughCopy("src/notification.json");
 
   // ============================================
@@ -141,6 +190,9 @@ export default function(eleventyConfig) {
     if (format === 'iso') {
       return d.toISOString().split('T')[0];
     }
+    if (format === 'rfc822') {
+      return d.toUTCString();
+    }
     return d.toLocaleDateString('en-US', options[format] || options.long);
   });
 
@@ -154,41 +206,65 @@ export default function(eleventyConfig) {
       .replace(/\-\-+/g, '-');
   });
 
+  // Podcasting 2.0 feed GUID: UUIDv5 of the feed URL without its scheme
+  eleventyConfig.addFilter("podcastGuid", (feedUrl) => {
+    const namespace = Buffer.from('ead4c236bf5858c6a2c6a6b28d128cb6', 'hex');
+    const name = String(feedUrl).replace(/^[a-z]+:\/\//i, '').replace(/\/+$/, '');
+    const hash = crypto.createHash('sha1').update(namespace).update(name).digest();
+    hash[6] = (hash[6] & 0x0f) | 0x50;
+    hash[8] = (hash[8] & 0x3f) | 0x80;
+    const hex = hash.subarray(0, 16).toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  });
+
+  // iCalendar text for one event or a list of events (lib/ics.js)
+  eleventyConfig.addFilter("ics", (events, siteUrl, name) => toICS(events, { siteUrl, name }));
+
   // ============================================
   // IMAGE SHORTCODE
   // ============================================
 
-  eleventyConfig.addShortcode("image", async function(src, alt, sizes = "100vw", widths = [400, 800, 1200, 1600], eager = false) {
-    const imagePath = src.startsWith('/') ? path.join("src", src) : src;
+  // {% image "/assets/images/photo.jpg", "Alt text" %}; eager for images in view on load,
+  // crop and focus as the data-crop and data-focus attributes (lib/images.js)
+  eleventyConfig.addShortcode("image", async function(src, alt, sizes = "100vw", widths = IMAGE_WIDTHS, eager = false, crop = "", focus = "") {
+    const attributes = { alt, sizes, "data-crop": crop, "data-focus": focus };
+    if (eager) Object.assign(attributes, { loading: "eager", fetchpriority: "high" });
+    const picture = await images.pictureFor(src, attributes, { widths, inputPath: this.page.inputPath, page: this.page.url });
+    return picture || `<span class="image-error" role="img" aria-label="${escapeAttribute(alt)}">[Image: ${escapeAttribute(alt)}]</span>`;
+  });
 
-    try {
-      let metadata = await Image(imagePath, {
-        widths: widths,
-        formats: ["avif", "webp", null],
-        outputDir: "./_site/assets/img/",
-        urlPath: "/assets/img/",
-        filenameFormat: function (id, src, width, format) {
-          const name = path.basename(src, path.extname(src));
-          return `${name}-${width}w.${format}`;
-        }
-      });
-
-      let lowsrc = metadata.jpeg?.[0] || metadata.webp?.[0] || metadata.png?.[0] || metadata.avif?.[0];
-      const loadingAttr = eager ? 'loading="eager" fetchpriority="high"' : 'loading="lazy"';
-
-      return `<picture>
-      ${Object.values(metadata).map(formatGroup => {
-        const format = formatGroup[0].format;
-        const srcset = formatGroup.map(img => `${img.url} ${img.width}w`).join(', ');
-        const type = format === 'jpg' ? 'image/jpeg' : `image/${format}`;
-        return `<source type="${type}" srcset="${srcset}" sizes="${sizes}">`;
-      }).join('\n      ')}
-      <img src="${lowsrc.url}" width="${lowsrc.width}" height="${lowsrc.height}" alt="${alt}" ${loadingAttr} decoding="async">
-    </picture>`;
-    } catch (e) {
-      console.warn(`[Image] Failed to process ${src}: ${e.message}`);
-      return `<span class="image-error" role="img" aria-label="${alt}">[Image: ${alt}]</span>`;
-    }
+  // ============================================
+  // FORM SHORTCODE
+  // ============================================
+
+  // {% form "contact" %} or {% form "visitor", "dark" %}: fields from src/_data/forms.js (lib/form-markup.js)
+  eleventyConfig.addShortcode("form", function(formId, theme = "light") {
+    const forms = this.ctx.get(['forms']) || {};
+    return renderForm(formId, forms[formId], { theme, page: this.page.url });
+  });
+
+  // ============================================
+  // SHARE IMAGE SHORTCODE
+  // ============================================
+
+  // {% shareImage title, share, site.title %}: URL of the page's share image (lib/share-images.js)
+  eleventyConfig.addShortcode("shareImage", function(title, share, siteTitle) {
+    return shareImages.register(this.page.url, shareCard(title, share, siteTitle));
+  });
+
+  // {% podcastArtwork "Spencer Mills OPC", site.address %}: URL of the square podcast artwork
+  eleventyConfig.addShortcode("podcastArtwork", function(name, address) {
+    const place = address ? [address.city, address.state].filter(Boolean).join(", ") : "";
+    return shareImages.registerArtwork("/sermons/artwork.png", { name, place });
+  });
+
+  // ============================================
+  // STRUCTURED DATA SHORTCODE
+  // ============================================
+
+  // {% structuredData site, event, sermon %}: JSON-LD for the church, plus the event or sermon on their pages
+  eleventyConfig.addShortcode("structuredData", function(site, event, sermon) {
+    return jsonLdScript(pageSchema(site, { event, sermon }));
   });
 
   // ============================================
@@ -229,6 +305,30 @@ export default function(eleventyConfig) {
     return iconCollector.generateSymbols();
   });
 
+  // ============================================
+  // IMAGE TRANSFORM
+  // ============================================
+
+  // Plain <img> tags get the same responsive images as the shortcode (before minification)
+  eleventyConfig.addTransform('images', async function(content) {
+    if (!this.page.outputPath || !this.page.outputPath.endsWith('.html')) return content;
+    return images.transformHtml(content, { inputPath: this.page.inputPath, page: this.page.url });
+  });
+
+  // ============================================
+  // STRUCTURED DATA VALIDATION
+  // ============================================
+
+  // Fail the build when a page's JSON-LD is missing something search engines need
+  eleventyConfig.addTransform('structured-data', function(content) {
+    if (!this.page.outputPath || !this.page.outputPath.endsWith('.html')) return content;
+    const problems = validatePageHtml(content);
+    if (problems.length > 0) {
+      throw new Error(`[Structured data] ${this.page.url}:\n  ${problems.join('\n  ')}`);
+    }
+    return content;
+  });
+
   // ============================================
   // HTML MINIFICATION (Production Only)
   // ============================================
@@ -264,7 +364,9 @@ export default function(eleventyConfig) {
   eleventyConfig.setServerOptions({
     port: 8080,
     showAllHosts: true,
-    domDiff: true
+    domDiff: true,
+    // POST /api/forms/* is a Pages Function in production (functions/)
+    middleware: [formMiddleware()]
   });
 
   // ============================================
@@ -0,0 +1,31 @@
+/**
+ * Form Tokens (Cloudflare Pages middleware)
+ *
+ * Fills in the spam token of every form on a page as it's served: the
+ * time, signed with FORM_SECRET (lib/forms.js). The form endpoint
+ * (functions/api/forms/[form].js) checks it, so even posts without
+ * JavaScript are timed. Everything but HTML passes through untouched.
+ */
+
+import { TOKEN_FIELD, issueFormToken } from '../lib/forms.js';
+
+export async function onRequest({ request, env, next }) {
+  const response = await next();
+  if (request.method !== 'GET' || !env.FORM_SECRET) return response;
+  if (!(response.headers.get('content-type') || '').includes('text/html')) return response;
+
+  const token = await issueFormToken(env.FORM_SECRET);
+  const stamped = new HTMLRewriter()
+    .on(`input[name="${TOKEN_FIELD}"]`, {
+      element(input) {
+        input.setAttribute('value', token);
+      }
+    })
+    .transform(response);
+
+  // Each view gets its own token, so no copy of the page may be reused
+  const headers = new Headers(stamped.headers);
+  headers.delete('ETag');
+  headers.set('Cache-Control', 'no-store');
+  return new Response(stamped.body, { status: stamped.status, statusText: stamped.statusText, headers });
+}
@@ -0,0 +1,92 @@
+/**
+ * Form Endpoint (Cloudflare Pages Function)
+ *
+ * POST /api/forms/<form> - the forms are defined in src/_data/forms.js, and
+ * validation and spam checks are in lib/forms.js.
+ * Valid submissions are stored and/or emailed, depending on what is set up
+ * in the Pages project (Settings > Functions / Environment variables):
+ *
+ *   FORM_SECRET        Secret that signs the spam token in each form
+ *                      (functions/_middleware.js); without it every post
+ *                      is refused
+ *   FORM_SUBMISSIONS   KV namespace binding; each submission is kept as
+ *                      <form>/<time>-<id>, as a record if email goes wrong
+ *                      (except forms marked `store: false`, only emailed)
+ *   FORM_RATE_LIMITS   KV namespace binding for forms with a `rateLimit`;
+ *                      without it they aren't limited
+ *   RESEND_API_KEY     Resend (resend.com) API key for email delivery
+ *   FORM_EMAIL_FROM    Sender, on a domain verified with Resend
+ *   FORM_EMAIL_TO      Where submissions go (comma-separated)
+ *   FORM_EMAIL_TO_<DESTINATION>
+ *                      Recipients for forms with that destination, e.g.
+ *                      FORM_EMAIL_TO_OFFICE; FORM_EMAIL_TO when not set,
+ *                      except for destinations the visitor picks (prayer
+ *                      requests: FORM_EMAIL_TO_ELDERS and
+ *                      FORM_EMAIL_TO_PRAYER_CHAIN), which must be set
+ *
+ * With no way to deliver a submission, it fails rather than vanishes.
+ */
+
+import forms from '../../../src/_data/forms.js';
+import { configError, createRateLimiter, handleFormPost } from '../../../lib/forms.js';
+
+function recipients(env, { form, destination }) {
+  const key = `FORM_EMAIL_TO_${String(destination || '').toUpperCase().replace(/\W+/g, '_')}`;
+  // The visitor chose who may read it ("the elders only"), so it must never
+  // fall back to the office's FORM_EMAIL_TO
+  if (typeof forms[form]?.destination === 'object' && !env[key]) {
+    throw configError(`${key} is not set, so ${form} submissions can't be sent to ${destination || 'anyone'}`);
+  }
+  return String((destination && env[key]) || env.FORM_EMAIL_TO || '').split(',').map((address) => address.trim()).filter(Boolean);
+}
+
+async function sendEmail(env, submission) {
+  const to = recipients(env, submission);
+  if (to.length === 0) throw new Error(`no recipients for ${submission.form}`);
+
+  const response = await fetch('https://api.resend.com/emails', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${env.RESEND_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      from: env.FORM_EMAIL_FROM,
+      to,
+      reply_to: submission.replyTo || undefined,
+      subject: submission.subject,
+      text: submission.text
+    })
+  });
+  if (!response.ok) throw new Error(`Resend HTTP ${response.status}: ${await response.text()}`);
+}
+
+async function storeSubmission(env, submission) {
+  const key = `${submission.form}/${submission.receivedAt}-${crypto.randomUUID()}`;
+  await env.FORM_SUBMISSIONS.put(key, JSON.stringify(submission));
+}
+
+function deliverer(env) {
+  const canEmail = Boolean(env.RESEND_API_KEY && env.FORM_EMAIL_FROM);
+
+  return async (submission) => {
+    const canStore = Boolean(env.FORM_SUBMISSIONS) && submission.store;
+    if (!canEmail && !canStore) throw configError(`no delivery set up for ${submission.form} (see functions/api/forms/[form].js)`);
+
+    // Stored first, so a failed email still leaves a copy
+    if (canStore) await storeSubmission(env, submission);
+    if (canEmail) {
+      try {
+        await sendEmail(env, submission);
+      } catch (err) {
+        if (!canStore) throw err;
+        console.error(`[Forms] Stored ${submission.form} submission, but the email failed: ${err.message}`);
+      }
+    }
+  };
+}
+
+export async function onRequestPost({ request, params, env }) {
+  const rateLimit = env.FORM_RATE_LIMITS ? createRateLimiter(env.FORM_RATE_LIMITS) : null;
+  return handleFormPost(request, params.form, { forms, secret: env.FORM_SECRET, deliver: deliverer(env), rateLimit });
+}
@@ -0,0 +1,273 @@
+/**
+ * Calendar Expansion
+ *
+ * Turns parsed ICS data (from node-ical) into individual event
+ * occurrences in the church's time zone. Used by src/_data/calendar.js and
+ * covered by test/calendar.test.js with the .ics files in test/fixtures/.
+ *
+ * Handles the parts of recurring events that rrule alone gets wrong:
+ * EXDATE exclusions, RECURRENCE-ID overrides (moved or cancelled weeks),
+ * end times across DST changes, all-day dates and floating times.
+ */
+
+export const TIME_ZONE = 'America/Detroit';
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- Dates and time zones ---
+
+const wallClockFormats = new Map();
+
+/**
+ * Wall-clock date and time of an instant in a time zone
+ */
+function wallClock(date, timeZone) {
+  if (!wallClockFormats.has(timeZone)) {
+    wallClockFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of wallClockFormats.get(timeZone).formatToParts(date)) parts[type] = Number(value);
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+/**
+ * Wall-clock time of an instant in the build's own time zone. node-ical
+ * gives all-day dates and floating times (no TZID) in local time.
+ */
+function localWallClock(date) {
+  return {
+    year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(),
+    hour: date.getHours(), minute: date.getMinutes(), second: date.getSeconds()
+  };
+}
+
+/**
+ * The instant a wall-clock time happens in a time zone
+ */
+export function zonedTime({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetAt = (instant) => {
+    const wall = wallClock(new Date(instant), timeZone);
+    return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second) - instant;
+  };
+  // The first guess can land on the other side of a DST change; one
+  // correction with the offset at that guess settles it
+  const guess = asUtc - offsetAt(asUtc);
+  return new Date(asUtc - offsetAt(guess));
+}
+
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function keyOf({ year, month, day }) {
+  return [year, String(month).padStart(2, '0'), String(day).padStart(2, '0')].join('-');
+}
+
+function partsOf(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return { year, month, day };
+}
+
+export function addDays(key, days) {
+  const { year, month, day } = partsOf(key);
+  return utcDateKey(new Date(Date.UTC(year, month - 1, day + days)));
+}
+
+function daysBetween(fromKey, toKey) {
+  return Math.round((Date.parse(toKey) - Date.parse(fromKey)) / DAY_MS);
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of an instant in the church's time zone
+ */
+export function dateKey(date) {
+  return keyOf(wallClock(date, TIME_ZONE));
+}
+
+/**
+ * Date key for a UTC calendar day built with Date.UTC
+ */
+export function utcDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Calendar date of an all-day occurrence. rrule keeps DTSTART's UTC offset
+ * for every occurrence, so across a DST change its midnights drift by an
+ * hour; counting whole days from DTSTART avoids landing on the wrong day.
+ */
+function allDayKey(event, date) {
+  return addDays(keyOf(localWallClock(event.start)), Math.round((date - event.start) / DAY_MS));
+}
+
+/**
+ * Identifies one instance of a recurring event, for matching EXDATE and
+ * RECURRENCE-ID values against the rule's occurrences
+ */
+function instanceKey(event, date) {
+  return event.datetype === 'date' ? allDayKey(event, date) : String(date.getTime());
+}
+
+/**
+ * Start, end and calendar date of one occurrence.
+ *
+ * - All-day events run from midnight to midnight in the church's time zone
+ * - Floating times (no TZID and no Z) are read as church time, not build time
+ * - The end keeps the original wall-clock length (9:30–11:00 stays
+ *   9:30–11:00) instead of a fixed number of milliseconds, so it survives
+ *   DST changes
+ */
+function occurrenceTimes(event, date) {
+  if (event.datetype === 'date') {
+    const key = allDayKey(event, date);
+    const days = event.end ? Math.max(1, Math.round((event.end - event.start) / DAY_MS)) : 1;
+    return {
+      isAllDay: true,
+      dateKey: key,
+      start: zonedTime(partsOf(key), TIME_ZONE),
+      end: zonedTime(partsOf(addDays(key, days)), TIME_ZONE),
+      lastDateKey: addDays(key, days - 1)
+    };
+  }
+
+  const tz = event.start.tz;
+  const floating = !tz;
+  const timeZone = tz && isTimeZone(tz) ? tz : TIME_ZONE;
+  const toInstant = (d) => floating ? zonedTime(localWallClock(d), TIME_ZONE) : d;
+
+  const start = toInstant(date);
+  let end = start;
+  if (event.end && event.end > event.start) {
+    const firstStart = wallClock(toInstant(event.start), timeZone);
+    const firstEnd = wallClock(toInstant(event.end), timeZone);
+    const endKey = addDays(keyOf(wallClock(start, timeZone)), daysBetween(keyOf(firstStart), keyOf(firstEnd)));
+    end = zonedTime({ ...partsOf(endKey), hour: firstEnd.hour, minute: firstEnd.minute, second: firstEnd.second }, timeZone);
+  }
+
+  return { isAllDay: false, dateKey: dateKey(start), start, end, lastDateKey: dateKey(end > start ? new Date(end - 1) : start) };
+}
+
+function formatDateTime(date, isAllDay) {
+  return date.toLocaleDateString('en-US', isAllDay
+    ? { month: 'long', day: 'numeric', year: 'numeric', timeZone: TIME_ZONE }
+    : { month: 'long', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: TIME_ZONE });
+}
+
+function formatTime(date) {
+  return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: TIME_ZONE });
+}
+
+/**
+ * Whether an event may be re-published. Outlook's "Private" flag sets
+ * CLASS:PRIVATE; events without a CLASS are public (RFC 5545).
+ */
+export function isPublicEvent(event, series = event) {
+  const access = event.class || series.class || 'PUBLIC';
+  return String(access).toUpperCase() === 'PUBLIC';
+}
+
+/**
+ * One occurrence of a calendar event, ready for templates. Overridden
+ * instances fall back to the series for anything they leave out.
+ */
+function createOccurrence(event, times, series = event) {
+  const { start, end, isAllDay } = times;
+  const dayDate = new Date(`${times.dateKey}T12:00:00Z`);
+  const description = event.description || series.description;
+
+  return {
+    uid: series.uid || '',
+    title: event.summary || series.summary || 'Untitled Event',
+    start: start,
+    end: end,
+    location: event.location || series.location || null,
+    description: description ? description.trim() : null,
+    isAllDay: isAllDay,
+    isRecurring: Boolean(series.rrule),
+    isPublic: isPublicEvent(event, series),
+    // Outlook categories (CATEGORIES), for lib/categories.js
+    categories: [].concat(event.categories || series.categories || []),
+    dateKey: times.dateKey,
+    lastDateKey: times.lastDateKey,
+    // Machine-readable value for <time datetime>
+    datetime: isAllDay ? times.dateKey : start.toISOString(),
+    // Pre-format the date/time for display
+    formattedDateTime: formatDateTime(start, isAllDay),
+    formattedDate: dayDate.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' }),
+    formattedTime: isAllDay ? 'All day' : formatTime(start),
+    formattedTimeRange: isAllDay
+      ? 'All day'
+      : end > start ? `${formatTime(start)} – ${formatTime(end)}` : formatTime(start)
+  };
+}
+
+/**
+ * Occurrences of one recurring event that start within [from, to).
+ * Dates listed in EXDATE are dropped, and instances replaced by a
+ * RECURRENCE-ID override appear at their new time (or not at all if the
+ * override is cancelled) - even when that moves them into or out of range.
+ */
+function expandRecurring(event, from, to) {
+  const occurrences = [];
+
+  // node-ical keys each override and exclusion twice (by date and by
+  // timestamp), so collect distinct instances
+  const excluded = new Set(Object.values(event.exdate || {}).map((date) => instanceKey(event, date)));
+  const overrides = new Map();
+  for (const override of Object.values(event.recurrences || {})) {
+    overrides.set(instanceKey(event, override.recurrenceid), override);
+  }
+
+  for (const date of event.rrule.between(from, to, true)) {
+    const key = instanceKey(event, date);
+    if (excluded.has(key) || overrides.has(key)) continue;
+    occurrences.push(createOccurrence(event, occurrenceTimes(event, date)));
+  }
+
+  for (const [key, override] of overrides) {
+    if (excluded.has(key) || override.status === 'CANCELLED' || !override.start) continue;
+    const times = occurrenceTimes(override, override.start);
+    if (times.start < from || times.start >= to) continue;
+    occurrences.push(createOccurrence(override, times, event));
+  }
+
+  return occurrences;
+}
+
+/**
+ * Expand parsed ICS data (from node-ical) into occurrences that start
+ * within [from, to), sorted by start time
+ */
+export function expandEvents(events, from, to) {
+  const eventList = [];
+
+  for (const event of Object.values(events)) {
+    if (event.type !== 'VEVENT' || event.status === 'CANCELLED' || !event.start) continue;
+
+    // Handle recurring events
+    if (event.rrule) {
+      try {
+        eventList.push(...expandRecurring(event, from, to));
+      } catch (err) {
+        console.warn(`Error processing recurring event: ${event.summary}`, err.message);
+      }
+    } else {
+      // Single event
+      const times = occurrenceTimes(event, event.start);
+      if (times.start < from || times.start >= to) continue;
+      eventList.push(createOccurrence(event, times));
+    }
+  }
+
+  return eventList.sort((a, b) => a.start - b.start);
+}
@@ -0,0 +1,90 @@
+/**
+ * Event Categories
+ *
+ * Sorts calendar occurrences (from lib/calendar.js) into the types set up
+ * in src/_data/eventCategories.yaml: by Outlook category, by a "Type:"
+ * prefix on the title, or by keywords in the title. Used by
+ * src/_data/calendar.js and covered by test/categories.test.js.
+ */
+
+function slugify(str) {
+  return String(str).toLowerCase().trim()
+    .replace(/\s+/g, '-')
+    .replace(/[^\w\-]+/g, '')
+    .replace(/\-\-+/g, '-');
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check the config and prepare it for matching. Throws on mistakes the
+ * build shouldn't quietly get past (no types, a missing default).
+ *
+ * @param {Object} config - parsed eventCategories.yaml
+ * @returns {{ types: Object[], fallback: Object }}
+ */
+export function loadCategories(config) {
+  if (!config || !Array.isArray(config.types) || config.types.length === 0) {
+    throw new Error('eventCategories: "types" must list at least one type');
+  }
+
+  const types = config.types.map((entry, i) => {
+    if (!entry || !entry.name) throw new Error(`eventCategories: type ${i + 1} has no name`);
+    const name = String(entry.name);
+    const categories = [name, ...(entry.categories || [])].map((c) => String(c).toLowerCase());
+    const keywords = (entry.keywords || []).map((k) => new RegExp(`(^|\\W)${escapeRegExp(String(k))}($|\\W)`, 'i'));
+
+    return {
+      name: name,
+      slug: slugify(name),
+      color: entry.color || null,
+      icon: entry.icon || null,
+      private: entry.private === true,
+      categories: categories,
+      keywords: keywords
+    };
+  });
+
+  const fallback = types.find((t) => t.name === config.default);
+  if (!fallback) throw new Error(`eventCategories: default type "${config.default}" is not one of the types`);
+  if (fallback.private) throw new Error('eventCategories: the default type cannot be private');
+
+  return { types, fallback };
+}
+
+/**
+ * Type of one occurrence, and its title with any "Type:" prefix removed
+ *
+ * @param {Object} event - occurrence with title and categories
+ * @param {{ types: Object[], fallback: Object }} config - from loadCategories
+ * @returns {{ type: Object, title: string }}
+ */
+export function categorize(event, { types, fallback }) {
+  const title = event.title;
+
+  // 1. Outlook categories
+  const outlook = (event.categories || []).map((c) => String(c).toLowerCase());
+  const byCategory = types.find((t) => t.categories.some((c) => outlook.includes(c)));
+  if (byCategory) return { type: byCategory, title: title };
+
+  // 2. "Type: Title" or "[Type] Title"
+  const prefix = title.match(/^\s*(?:\[([^\]]+)\]|([^:]+):)\s*(.+)$/);
+  if (prefix) {
+    const label = (prefix[1] || prefix[2]).trim().toLowerCase();
+    const byPrefix = types.find((t) => t.categories.includes(label));
+    if (byPrefix) return { type: byPrefix, title: prefix[3].trim() };
+  }
+
+  // 3. Keywords in the title
+  const byKeyword = types.find((t) => t.keywords.some((k) => k.test(title)));
+  return { type: byKeyword || fallback, title: title };
+}
+
+/**
+ * Display fields templates need for a type
+ */
+export function displayCategory(type) {
+  return { name: type.name, slug: type.slug, color: type.color, icon: type.icon };
+}
@@ -0,0 +1,62 @@
+/**
+ * Data Fixtures
+ *
+ * Offline mode for the remote data sources. With DATA_FIXTURES set, the
+ * calendar and sermon feeds are read from recorded files instead of the
+ * network, for reproducible builds without network access:
+ *
+ *   DATA_FIXTURES=1 npm run build              # test/fixtures/feeds/
+ *   DATA_FIXTURES=path/to/feeds npm run build  # another folder
+ *
+ * Files are named after the source: calendar.ics, sermons-substack.rss.
+ * `npm run fixtures:refresh` records them again from the live feeds (see
+ * scripts/refresh-fixtures.js). Used through lib/snapshots.js.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const DEFAULT_FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../test/fixtures/feeds');
+
+// Set by scripts/refresh-fixtures.js while it records the live feeds
+let recordingDir = null;
+
+/**
+ * Folder to read fixtures from, or null when building from the live feeds
+ */
+export function fixturesDir() {
+  const value = String(process.env.DATA_FIXTURES || '').trim();
+  if (!value || ['0', 'false', 'no'].includes(value.toLowerCase())) return null;
+  return ['1', 'true', 'yes'].includes(value.toLowerCase()) ? DEFAULT_FIXTURES_DIR : path.resolve(value);
+}
+
+export async function readFixture(file) {
+  const dir = fixturesDir();
+  try {
+    return await fs.readFile(path.join(dir, file), 'utf8');
+  } catch (err) {
+    throw new Error(`no fixture ${file} in ${dir} (run npm run fixtures:refresh)`);
+  }
+}
+
+/**
+ * Save every feed fetched from now on as a fixture in `dir`
+ */
+export function startRecording(dir = DEFAULT_FIXTURES_DIR) {
+  recordingDir = path.resolve(dir);
+}
+
+export function isRecording() {
+  return recordingDir !== null;
+}
+
+/**
+ * Save a freshly fetched feed as a fixture, if recording
+ */
+export async function recordFixture(file, text) {
+  if (!recordingDir) return;
+  await fs.mkdir(recordingDir, { recursive: true });
+  await fs.writeFile(path.join(recordingDir, file), text);
+  console.log(`✓ Recorded ${path.relative(process.cwd(), path.join(recordingDir, file))}`);
+}
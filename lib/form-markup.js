@@ -0,0 +1,218 @@
+/**
+ * Form Markup
+ *
+ * Renders a form from its definition in src/_data/forms.js, for the form
+ * shortcode in .eleventy.js:
+ *
+ *   {% form "contact" %}          on a light background
+ *   {% form "visitor", "dark" %}  on a navy section
+ *
+ * Every field gets a label, an error element tied to it with
+ * aria-describedby, and its error messages (lib/forms.js) as data
+ * attributes for the page script (assets/js/forms.js) to show. Fields with
+ * `onlyIf` start hidden and disabled unless the `default`s meet it; the
+ * script shows them as the visitor's choices change. The spam token field
+ * is left empty here and filled in as each page is served (lib/forms.js).
+ */
+
+import { ELAPSED_FIELD, HONEYPOT_FIELD, PAGE_FIELD, PHONE_PATTERN, TOKEN_FIELD, fieldApplies, fieldMessages, fieldOptions, isGroup, maxLength } from './forms.js';
+
+const INPUT_TYPES = ['text', 'email', 'tel', 'textarea', 'checkbox', 'radio'];
+
+const THEMES = {
+  light: {
+    label: 'block text-xs uppercase tracking-widest text-navy/50 mb-1.5',
+    input: 'w-full px-4 py-3 border border-navy/20 bg-white text-navy placeholder-navy/30 focus:outline-none focus:border-spruce aria-[invalid=true]:border-red-700 transition-colors',
+    group: 'space-y-3',
+    option: 'text-navy/80 cursor-pointer',
+    hint: 'text-sm text-navy/60 mb-2',
+    error: 'mt-1.5 text-sm text-red-700',
+    actions: 'pt-2',
+    button: 'w-full bg-navy text-white py-3.5 uppercase tracking-widest text-sm hover:bg-spruce disabled:opacity-60 transition-colors duration-200',
+    status: 'text-sm data-[state=success]:text-spruce data-[state=error]:text-red-700'
+  },
+  dark: {
+    label: 'block text-xs uppercase tracking-widest text-white/70 mb-1',
+    input: 'w-full px-4 py-3 border border-white/30 bg-white text-navy placeholder-navy/40 focus:outline-none focus:border-spruce aria-[invalid=true]:border-orange aria-[invalid=true]:border-2 transition-colors',
+    group: 'bg-white/5 border border-white/20 px-4 py-4 space-y-3',
+    option: 'text-white/90 cursor-pointer',
+    hint: 'text-sm text-white/60 mb-2',
+    error: 'mt-1.5 text-sm text-orange',
+    actions: 'text-center pt-4',
+    button: 'bg-spruce text-white px-10 py-3 uppercase tracking-widest text-sm hover:bg-spruce/90 disabled:opacity-60 transition-colors',
+    status: 'text-center text-sm data-[state=success]:text-light-green data-[state=error]:text-orange'
+  }
+};
+
+export function escapeAttr(str) {
+  return String(str ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function attrs(list) {
+  return Object.entries(list)
+    .filter(([, value]) => value !== undefined && value !== false && value !== null && value !== '')
+    .map(([name, value]) => (value === true ? name : `${name}="${escapeAttr(value)}"`))
+    .join(' ');
+}
+
+function messageAttrs(field) {
+  const messages = fieldMessages(field);
+  return {
+    'data-required-message': field.required ? messages.required : undefined,
+    'data-invalid-message': ['email', 'tel'].includes(field.type) ? messages.invalid : undefined,
+    'data-too-long-message': field.type === 'checkbox' || field.type === 'radio' ? undefined : messages.tooLong
+  };
+}
+
+function labelText(field) {
+  return `${escapeAttr(field.label)}${field.required ? ' <span class="text-spruce">*</span>' : ''}`;
+}
+
+function hintAndError(field, id, theme) {
+  const hint = field.hint ? `<p id="${id}-hint" class="${theme.hint}">${escapeAttr(field.hint)}</p>` : '';
+  const error = `<p id="${id}-error" class="hidden ${theme.error}" data-field-error></p>`;
+  return { hint, error, describedBy: [field.hint && `${id}-hint`, `${id}-error`].filter(Boolean).join(' ') };
+}
+
+function renderGroup(field, id, theme, outer, disabled) {
+  const { hint, error, describedBy } = hintAndError(field, id, theme);
+  const type = field.type === 'radio' ? 'radio' : 'checkbox';
+
+  const options = fieldOptions(field).map((option, i) => {
+    const optionId = `${id}-${i + 1}`;
+    const input = attrs({
+      type,
+      id: optionId,
+      name: field.name,
+      value: option.value,
+      checked: field.default === option.value,
+      // A radio group is required through its buttons; checkbox groups are checked by the script
+      required: type === 'radio' && field.required,
+      class: 'mt-1 size-4 accent-spruce cursor-pointer'
+    });
+    return `<div class="flex items-start gap-3">
+        <input ${input}>
+        <label for="${optionId}" class="${theme.option}">${escapeAttr(option.label)}</label>
+      </div>`;
+  }).join('\n      ');
+
+  const fieldset = attrs({
+    ...outer,
+    disabled,
+    'aria-describedby': describedBy,
+    'data-field': field.name,
+    'data-group': type,
+    ...messageAttrs(field)
+  });
+
+  return `<fieldset ${fieldset}>
+      <legend class="${theme.label}">${labelText(field)}</legend>
+      ${hint}
+      <div class="${theme.group}">
+      ${options}
+      </div>
+      ${error}
+    </fieldset>`;
+}
+
+function renderCheckbox(field, id, theme, outer, disabled) {
+  const { hint, error, describedBy } = hintAndError(field, id, theme);
+  const input = attrs({
+    type: 'checkbox',
+    id,
+    name: field.name,
+    value: 'yes',
+    required: field.required,
+    disabled,
+    'aria-describedby': describedBy,
+    'data-field': field.name,
+    ...messageAttrs(field),
+    class: 'mt-1 size-4 accent-spruce cursor-pointer'
+  });
+
+  return `<div ${attrs(outer)}>
+      ${hint}
+      <div class="flex items-start gap-3">
+        <input ${input}>
+        <label for="${id}" class="${theme.option}">${labelText(field)}</label>
+      </div>
+      ${error}
+    </div>`;
+}
+
+function renderInput(field, id, theme, outer, disabled) {
+  const { hint, error, describedBy } = hintAndError(field, id, theme);
+  const type = field.type || 'text';
+  const common = {
+    id,
+    name: field.name,
+    required: field.required,
+    disabled,
+    maxlength: maxLength(field),
+    placeholder: field.placeholder,
+    autocomplete: field.autocomplete,
+    'aria-describedby': describedBy,
+    'data-field': field.name,
+    ...messageAttrs(field)
+  };
+
+  const control = type === 'textarea'
+    ? `<textarea ${attrs({ ...common, rows: field.rows || 5, class: `${theme.input} resize-y` })}></textarea>`
+    : `<input ${attrs({ type, ...common, pattern: type === 'tel' ? PHONE_PATTERN : undefined, class: theme.input })}>`;
+
+  return `<div ${attrs(outer)}>
+      <label for="${id}" class="${theme.label}">${labelText(field)}</label>
+      ${hint}
+      ${control}
+      ${error}
+    </div>`;
+}
+
+function renderField(formId, field, theme, defaults) {
+  if (!field.name || !field.label) throw new Error(`Form "${formId}": every field needs a name and a label`);
+  if (!INPUT_TYPES.includes(field.type || 'text')) throw new Error(`Form "${formId}": field "${field.name}" has unknown type "${field.type}"`);
+  if (field.type === 'radio' && !field.options) throw new Error(`Form "${formId}": radio field "${field.name}" needs options`);
+
+  const id = `${formId}-${field.name}`;
+  const shown = fieldApplies(field, defaults);
+  const outer = {
+    // Half-width fields sit side by side from md up
+    class: `${field.half ? 'md:col-span-1' : 'md:col-span-2'}${shown ? '' : ' hidden'}`,
+    'data-only-if': field.onlyIf ? JSON.stringify(field.onlyIf) : undefined
+  };
+  if (isGroup(field)) return renderGroup(field, id, theme, outer, !shown);
+  if (field.type === 'checkbox') return renderCheckbox(field, id, theme, outer, !shown);
+  return renderInput(field, id, theme, outer, !shown);
+}
+
+/**
+ * HTML for one form
+ */
+export function renderForm(formId, form, { theme = 'light', page = '' } = {}) {
+  if (!form) throw new Error(`No form "${formId}" in src/_data/forms.js`);
+  const classes = THEMES[theme];
+  if (!classes) throw new Error(`Unknown form theme "${theme}" (light or dark)`);
+
+  const defaults = Object.fromEntries(form.fields.map((field) => [field.name, field.default]));
+  const fields = form.fields
+    .map((field) => renderField(formId, field, classes, defaults))
+    .join('\n  ');
+
+  const html = `<form action="/api/forms/${escapeAttr(formId)}" method="POST" data-form="${escapeAttr(formId)}" class="relative grid grid-cols-1 md:grid-cols-2 gap-x-4 gap-y-5">
+  <input type="hidden" name="${PAGE_FIELD}" value="${escapeAttr(page)}">
+  <input type="hidden" name="${ELAPSED_FIELD}" value="">
+  <input type="hidden" name="${TOKEN_FIELD}" value="">
+  <div class="absolute -left-[9999px] w-px h-px overflow-hidden" aria-hidden="true">
+    <label for="${formId}-${HONEYPOT_FIELD}">Leave this field empty</label>
+    <input type="text" id="${formId}-${HONEYPOT_FIELD}" name="${HONEYPOT_FIELD}" tabindex="-1" autocomplete="off">
+  </div>
+  ${fields}
+  <div class="md:col-span-2 ${classes.actions}">
+    <button type="submit" class="${classes.button}">${escapeAttr(form.submit || 'Submit')}</button>
+  </div>
+  <p data-form-status role="status" class="md:col-span-2 hidden ${classes.status}"></p>
+</form>`;
+
+  // Drop the blank lines left by missing hints
+  return html.replace(/\n\s*(?=\n)/g, '');
+}
@@ -0,0 +1,115 @@
+/**
+ * Local Form Endpoint
+ *
+ * Stand-in for the Cloudflare Pages Function while developing: the
+ * Eleventy dev server (`npm run dev`) answers POST /api/forms/<form> with
+ * the same handler (lib/forms.js), but writes submissions to
+ * .cache/form-submissions/ (or FORM_SUBMISSIONS_DIR) and prints them to the
+ * console instead of emailing them. Rate limits are kept in memory until
+ * the server restarts.
+ *
+ * Like functions/_middleware.js, it also fills in the spam token of each
+ * form on the pages it serves, signed with FORM_SECRET (or a secret made
+ * up for this run of the server).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { Readable } from 'stream';
+import { TOKEN_FIELD, createRateLimiter, handleFormPost, issueFormToken, stampFormTokens } from './forms.js';
+import forms from '../src/_data/forms.js';
+
+const ROUTE = /^\/api\/forms\/([\w-]+)\/?$/;
+
+function submissionsDir() {
+  return process.env.FORM_SUBMISSIONS_DIR || '.cache/form-submissions';
+}
+
+async function saveSubmission(submission) {
+  const dir = submissionsDir();
+  const file = path.join(dir, `${submission.form}-${submission.receivedAt.replace(/[:.]/g, '-')}.json`);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(file, JSON.stringify(submission, null, 2));
+  console.log(`[Forms] ${submission.subject} for ${submission.destination || 'FORM_EMAIL_TO'} (saved to ${file})\n${submission.text}`);
+}
+
+// Same get/put as the Workers KV namespace the Pages Function uses
+function memoryStore() {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      return entry && entry.expires > Date.now() ? entry.value : null;
+    },
+    async put(key, value, { expirationTtl }) {
+      entries.set(key, { value, expires: Date.now() + expirationTtl * 1000 });
+    }
+  };
+}
+
+function toRequest(req) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  return new Request(url, {
+    method: req.method,
+    // As Cloudflare passes it to the function
+    headers: { ...req.headers, 'cf-connecting-ip': req.socket.remoteAddress || '' },
+    body: Readable.toWeb(req),
+    duplex: 'half'
+  });
+}
+
+// The built page for a GET, with its forms' tokens filled in; false for
+// anything else, which the dev server serves as usual
+async function servePage(req, res, outputDir, secret) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch {
+    return false;
+  }
+  const root = path.resolve(outputDir);
+  const file = path.join(root, pathname, pathname.endsWith('/') ? 'index.html' : '');
+  if (!file.startsWith(root + path.sep) || !file.endsWith('.html')) return false;
+
+  let html;
+  try {
+    html = await fs.readFile(file, 'utf8');
+  } catch {
+    return false;
+  }
+  if (!html.includes(`name="${TOKEN_FIELD}"`)) return false;
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.end(stampFormTokens(html, await issueFormToken(secret)));
+  return true;
+}
+
+async function sendResponse(res, response) {
+  res.writeHead(response.status, Object.fromEntries(response.headers));
+  res.end(Buffer.from(await response.arrayBuffer()));
+}
+
+/**
+ * Dev server middleware for the form endpoint and the pages' form tokens
+ */
+export function formMiddleware({ deliver = saveSubmission, secret = process.env.FORM_SECRET || randomUUID(), outputDir = '_site' } = {}) {
+  const rateLimit = createRateLimiter(memoryStore());
+
+  return async (req, res, next) => {
+    const match = ROUTE.exec(new URL(req.url, 'http://localhost').pathname);
+    if (req.method === 'GET' && !match) {
+      if (!(await servePage(req, res, outputDir, secret))) next();
+      return;
+    }
+    if (!match || req.method !== 'POST') return next();
+
+    try {
+      await sendResponse(res, await handleFormPost(toRequest(req), match[1], { forms, secret, deliver, rateLimit }));
+    } catch (err) {
+      console.error(`[Forms] ${err.message}`);
+      res.writeHead(500);
+      res.end();
+    }
+  };
+}
@@ -0,0 +1,391 @@
+/**
+ * Form Handling
+ *
+ * Validation, spam checks and delivery for the site's forms, shared by the
+ * Cloudflare Pages Function (functions/api/forms/[form].js) and the local
+ * stand-in used by `npm run dev` (lib/form-server.js). Forms are defined
+ * in src/_data/forms.js and post to /api/forms/<form>:
+ *
+ *   const response = await handleFormPost(request, 'contact', { forms, secret, deliver });
+ *
+ * `deliver(submission)` emails or stores a submission that passed; the
+ * handler answers with JSON for the page script (assets/js/forms.js) or a
+ * small HTML page for a plain form post. The markup comes from
+ * lib/form-markup.js, with the same error messages as here.
+ *
+ * Spam checks: a honeypot field people never see, and timing. Each form
+ * carries a token signed with FORM_SECRET that holds when its page was
+ * served (stamped in by functions/_middleware.js, or lib/form-server.js
+ * locally), so every post is timed, with or without JavaScript; a missing
+ * or forged token is turned away. The page script also sends the time
+ * since the visitor first touched the form.
+ */
+
+export const HONEYPOT_FIELD = 'website';
+export const ELAPSED_FIELD = '_elapsed';
+export const PAGE_FIELD = '_page';
+export const TOKEN_FIELD = '_token';
+
+// Nobody fills in a form faster than this
+export const MIN_FILL_MS = 3000;
+
+// A form's token is good for a day after its page was served
+export const TOKEN_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Also used as the inputs' pattern attribute, so it must suit both
+export const PHONE_PATTERN = '[0-9+\\(\\)\\.\\-\\s]{7,25}';
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_REGEX = new RegExp(`^(?:${PHONE_PATTERN})$`, 'u');
+
+/**
+ * A field's choices as { value, label }; options may be plain strings
+ */
+export function fieldOptions(field) {
+  return (field.options || []).map((option) => (typeof option === 'string' ? { value: option, label: option } : option));
+}
+
+export function isGroup(field) {
+  return field.type === 'radio' || (field.type === 'checkbox' && Array.isArray(field.options));
+}
+
+export function maxLength(field) {
+  return field.maxLength || (field.type === 'textarea' ? 5000 : 254);
+}
+
+/**
+ * Error messages for a field, shown by the page script before sending and
+ * returned by the handler after
+ */
+export function fieldMessages(field) {
+  const label = field.label.toLowerCase();
+  let required = `${field.label} is required.`;
+  if (field.type === 'radio') required = `Choose an option for ${label}.`;
+  else if (isGroup(field)) required = `Choose at least one option for ${label}.`;
+  else if (field.type === 'checkbox') required = 'Please check this box to continue.';
+
+  let invalid = `Choose from the options given for ${label}.`;
+  if (field.type === 'email') invalid = 'Enter a valid email address.';
+  else if (field.type === 'tel') invalid = 'Enter a valid phone number.';
+
+  return { required, invalid, tooLong: `${field.label} is too long.` };
+}
+
+function checkField(field, value) {
+  const messages = fieldMessages(field);
+
+  if (Array.isArray(value)) {
+    if (field.required && value.length === 0) return messages.required;
+    const allowed = fieldOptions(field).map((option) => option.value);
+    if (value.some((v) => !allowed.includes(v))) return messages.invalid;
+    return null;
+  }
+  if (!value) return field.required ? messages.required : null;
+  if (field.type === 'radio' && !fieldOptions(field).some((option) => option.value === value)) return messages.invalid;
+  if (value.length > maxLength(field)) return messages.tooLong;
+  if (field.type === 'email' && !EMAIL_REGEX.test(value)) return messages.invalid;
+  if (field.type === 'tel' && !PHONE_REGEX.test(value)) return messages.invalid;
+  return null;
+}
+
+/**
+ * Whether a field is part of the submission: fields with `onlyIf` are
+ * left out unless the other fields it names have one of the given values
+ */
+export function fieldApplies(field, values) {
+  return Object.entries(field.onlyIf || {}).every(([name, allowed]) => [].concat(allowed).includes(values[name]));
+}
+
+/**
+ * Check a submission's values against its form
+ *
+ * `values` maps field names to strings (arrays for checkbox groups), as
+ * read by `readValues`. Returns `{ data, errors }`: the trimmed values of
+ * the form's own fields, and a message per invalid field. Fields that
+ * don't apply (see `fieldApplies`) are left out and not checked.
+ */
+export function validateSubmission(form, values) {
+  const data = {};
+  const errors = {};
+
+  for (const field of form.fields) {
+    if (!fieldApplies(field, values)) continue;
+    const raw = values[field.name];
+    const value = field.type === 'checkbox' && isGroup(field)
+      ? [].concat(raw || []).map((v) => String(v).trim()).filter(Boolean)
+      : String(raw ?? '').trim();
+    const error = checkField(field, value);
+    if (error) errors[field.name] = error;
+    data[field.name] = value;
+  }
+
+  return { data, errors };
+}
+
+/**
+ * Spam checks: 'honeypot', 'too-fast' or null when the submission looks human
+ */
+export function spamCheck(values) {
+  if (String(values[HONEYPOT_FIELD] || '').trim()) return 'honeypot';
+  // Only the page script fills in the time, so an empty one is a post
+  // without JavaScript, not a fast one
+  const elapsed = String(values[ELAPSED_FIELD] ?? '').trim();
+  if (elapsed && !(Number(elapsed) >= MIN_FILL_MS)) return 'too-fast';
+  return null;
+}
+
+async function tokenKey(secret, usage) {
+  return crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, [usage]);
+}
+
+function tokenMessage(issued) {
+  return new TextEncoder().encode(`form-token:${issued}`);
+}
+
+/**
+ * A token for the forms on a page served at `now`: the time and its
+ * signature, "1792411200000.3f9a…"
+ */
+export async function issueFormToken(secret, now = new Date()) {
+  const issued = now.getTime();
+  const signature = await crypto.subtle.sign('HMAC', await tokenKey(secret, 'sign'), tokenMessage(issued));
+  return `${issued}.${[...new Uint8Array(signature)].map((b) => b.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Check a form's token: 'bad-token' if it's missing or wasn't signed with
+ * `secret`, 'too-fast' or 'expired' by the time since its page was served,
+ * or null when it's fine
+ */
+export async function checkFormToken(token, secret, now = new Date()) {
+  const match = /^(\d{1,15})\.([0-9a-f]{64})$/.exec(String(token ?? '').trim());
+  if (!match) return 'bad-token';
+  const signature = new Uint8Array(match[2].match(/../g).map((byte) => parseInt(byte, 16)));
+  if (!(await crypto.subtle.verify('HMAC', await tokenKey(secret, 'verify'), signature, tokenMessage(match[1])))) return 'bad-token';
+
+  const age = now.getTime() - Number(match[1]);
+  if (age < MIN_FILL_MS) return 'too-fast';
+  if (age > TOKEN_MAX_AGE_MS) return 'expired';
+  return null;
+}
+
+/**
+ * Put a token in every form on a page, for servers without HTMLRewriter
+ */
+export function stampFormTokens(html, token) {
+  return html.replace(new RegExp(`<input\\b[^>]*\\bname="${TOKEN_FIELD}"[^>]*>`, 'g'), (input) => {
+    const bare = input.replace(/\svalue="[^"]*"/, '');
+    return `${bare.slice(0, -1)} value="${token}">`;
+  });
+}
+
+/**
+ * Read a form post into field values: every value for checkbox groups, the
+ * first for everything else
+ */
+export function readValues(form, formData) {
+  const values = {};
+  for (const name of [HONEYPOT_FIELD, ELAPSED_FIELD, PAGE_FIELD, TOKEN_FIELD]) values[name] = formData.get(name);
+  for (const field of form.fields) {
+    values[field.name] = field.type === 'checkbox' && isGroup(field) ? formData.getAll(field.name) : formData.get(field.name);
+  }
+  return values;
+}
+
+function displayValue(field, value) {
+  if (Array.isArray(value)) return value.join(', ');
+  if (field.type === 'checkbox' && !isGroup(field)) return value ? 'Yes' : 'No';
+  if (field.type === 'radio') return fieldOptions(field).find((option) => option.value === value)?.label || value;
+  return value;
+}
+
+/**
+ * Fill {field} placeholders, e.g. in a form's email subject
+ */
+export function fillTemplate(template, data) {
+  return String(template || '').replace(/\{(\w+)\}/g, (match, name) => [].concat(data[name] ?? '').join(', '));
+}
+
+/**
+ * Who receives a submission: the form's `destination`, or with
+ * `{ field, values }` the destination for that field's value, e.g.
+ * { field: "share", values: { elders: "elders", congregation: "prayer-chain" } }
+ */
+export function resolveDestination(form, data) {
+  const destination = form.destination;
+  if (!destination || typeof destination === 'string') return destination || '';
+  const routes = destination.values || {};
+  return Object.hasOwn(routes, data[destination.field]) ? routes[data[destination.field]] : destination.default || '';
+}
+
+/**
+ * Plain-text email (or stored record) for a valid submission
+ *
+ * `store` is false for forms marked `store: false`, which are only ever
+ * emailed (e.g. confidential prayer requests).
+ */
+export function formatSubmission(formId, form, data, { page = '', now = new Date() } = {}) {
+  const sent = form.fields.filter((field) => Object.hasOwn(data, field.name));
+  const display = {};
+  const lines = sent.map((field) => {
+    const value = displayValue(field, data[field.name]);
+    display[field.name] = value;
+    return field.type === 'textarea' && value ? `${field.label}:\n${value}` : `${field.label}: ${value || '-'}`;
+  });
+  if (page) lines.push('', `Sent from ${page}`);
+
+  return {
+    form: formId,
+    destination: resolveDestination(form, data),
+    store: form.store !== false,
+    receivedAt: now.toISOString(),
+    page,
+    subject: fillTemplate(form.subject || form.title, display).replace(/\s+/g, ' ').trim(),
+    replyTo: data.email || '',
+    text: lines.join('\n'),
+    data
+  };
+}
+
+/**
+ * Limits how often one visitor can send a form, for forms with
+ * `rateLimit: { max, minutes }`. `store` is a Workers KV namespace, or
+ * anything with the same get/put (lib/form-server.js keeps one in
+ * memory). Visitors are told apart by a hash of their IP address, so no
+ * addresses are kept.
+ *
+ *   const limiter = createRateLimiter(env.FORM_RATE_LIMITS);
+ *   await limiter('prayer', ip, { max: 3, minutes: 60 });  // false once over
+ */
+export function createRateLimiter(store, { now = () => Date.now() } = {}) {
+  return async (formId, client, { max, minutes }) => {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${formId}:${client}`));
+    const key = `rate/${formId}/${[...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('')}`;
+    const windowMs = minutes * 60 * 1000;
+    const time = now();
+
+    const recent = JSON.parse((await store.get(key)) || '[]').filter((t) => t > time - windowMs);
+    if (recent.length >= max) return false;
+
+    recent.push(time);
+    // KV won't expire keys sooner than a minute
+    await store.put(key, JSON.stringify(recent), { expirationTtl: Math.max(60, Math.ceil(windowMs / 1000)) });
+    return true;
+  };
+}
+
+/**
+ * An error for a form the site isn't set up to deliver (a missing
+ * setting); handleFormPost answers it with a 500 rather than a 502
+ */
+export function configError(message) {
+  return Object.assign(new Error(message), { configuration: true });
+}
+
+function wantsJson(request) {
+  return (request.headers.get('accept') || '').includes('application/json');
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// For posts without the page script: a bare page with a way back
+function resultPage(status, message, back) {
+  const link = back ? `<p><a href="${escapeHtml(back)}">Back to the form</a></p>` : '';
+  const html = `<!doctype html><html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Spencer Mills OPC</title></head><body><p>${escapeHtml(message)}</p>${link}</body></html>`;
+  return new Response(html, { status, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+}
+
+function respond(request, status, body, back) {
+  if (wantsJson(request)) return Response.json(body, { status });
+  return resultPage(status, body.message, back);
+}
+
+/**
+ * Handle a POST to /api/forms/<formId>
+ *
+ * Options:
+ *   forms               - the form definitions (src/_data/forms.js)
+ *   secret              - FORM_SECRET, to check form tokens; posts are
+ *                         refused without it
+ *   deliver(submission) - emails or stores it; throws if it couldn't (a
+ *                         configError if it isn't set up to)
+ *   rateLimit           - limiter from createRateLimiter, for forms with a
+ *                         `rateLimit`; they aren't limited without one
+ *   now                 - current time (tests)
+ *   log                 - logger for dropped spam and delivery errors
+ */
+export async function handleFormPost(request, formId, { forms, secret, deliver, rateLimit, now = new Date(), log = console } = {}) {
+  const form = Object.hasOwn(forms, formId) ? forms[formId] : null;
+  if (!form) return respond(request, 404, { ok: false, message: 'There is no such form.' });
+
+  let formData;
+  try {
+    formData = await request.formData();
+  } catch {
+    return respond(request, 400, { ok: false, message: 'The form could not be read. Please try again.' });
+  }
+
+  const values = readValues(form, formData);
+  // Only a path on this site, since it becomes the "back" link
+  const page = /^\/(?![/\\])/.test(values[PAGE_FIELD] || '') ? values[PAGE_FIELD] : '';
+
+  const spam = spamCheck(values);
+  if (spam === 'honeypot') {
+    // Look like it worked, so there's nothing for a bot to learn
+    log.warn(`[Forms] Dropped ${formId} submission (honeypot)`);
+    return respond(request, 200, { ok: true, message: form.success }, page);
+  }
+
+  if (!secret) {
+    log.error(`[Forms] Could not check ${formId} submission: FORM_SECRET is not set`);
+    return respond(request, 500, {
+      ok: false,
+      message: "Sorry, your message couldn't be sent. Please try again later, or call us."
+    }, page);
+  }
+  const token = await checkFormToken(values[TOKEN_FIELD], secret, now);
+  if (token === 'bad-token' || token === 'expired') {
+    log.warn(`[Forms] Turned away ${formId} submission (${token})`);
+    return respond(request, 400, {
+      ok: false,
+      message: token === 'expired'
+        ? 'This page has been open a long while. Please reload it and send the form again.'
+        : "We couldn't check this form. Please reload the page and send it again."
+    }, page);
+  }
+  if (spam === 'too-fast' || token === 'too-fast') {
+    return respond(request, 400, {
+      ok: false,
+      message: "That was too quick for us to tell you're not a robot. Please wait a moment and send it again."
+    }, page);
+  }
+
+  const { data, errors } = validateSubmission(form, values);
+  if (Object.keys(errors).length > 0) {
+    return respond(request, 422, { ok: false, message: 'Please check the highlighted fields.', errors }, page);
+  }
+
+  if (form.rateLimit && rateLimit) {
+    const client = request.headers.get('cf-connecting-ip') || 'unknown';
+    if (!(await rateLimit(formId, client, form.rateLimit))) {
+      return respond(request, 429, {
+        ok: false,
+        message: "You've sent this form several times in a short while. Please try again later, or call us."
+      }, page);
+    }
+  }
+
+  try {
+    await deliver(formatSubmission(formId, form, data, { page, now }));
+  } catch (err) {
+    log.error(`[Forms] Could not deliver ${formId} submission: ${err.message}`);
+    return respond(request, err.configuration ? 500 : 502, {
+      ok: false,
+      message: "Sorry, your message couldn't be sent. Please try again later, or call us."
+    }, page);
+  }
+
+  return respond(request, 200, { ok: true, message: form.success }, page);
+}
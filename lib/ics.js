@@ -0,0 +1,190 @@
+/**
+ * Calendar Export
+ *
+ * Writes event occurrences (from lib/calendar.js) back out as iCalendar
+ * text and builds "add to calendar" links for Google and Outlook. Used for
+ * the per-event .ics downloads, the public /events/calendar.ics feed and
+ * the buttons on each event page.
+ *
+ * Occurrences are exported one by one with UTC times (all-day events as
+ * dates), so no VTIMEZONE or recurrence rules are needed.
+ *
+ * filterICS trims a feed without re-writing it, for recorded fixtures.
+ */
+
+import ical from 'node-ical';
+import { TIME_ZONE, addDays } from './calendar.js';
+
+const PRODUCT_ID = '-//Spencer Mills OPC//Website Calendar//EN';
+
+// Lines longer than this many bytes are folded (RFC 5545 section 3.1)
+const LINE_LIMIT = 75;
+
+/**
+ * Escape a TEXT value: backslashes, semicolons, commas and line breaks
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into 75-byte pieces, never splitting a character
+ */
+function foldLine(line) {
+  const pieces = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > LINE_LIMIT) {
+      pieces.push(current);
+      current = ' ';
+      bytes = 1;
+    }
+    current += char;
+    bytes += size;
+  }
+  pieces.push(current);
+  return pieces.join('\r\n');
+}
+
+/**
+ * 20261108T143000Z
+ */
+function utcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * 20261126
+ */
+function dateStamp(key) {
+  return key.replace(/-/g, '');
+}
+
+function absoluteUrl(path, siteUrl) {
+  return path ? new URL(path, siteUrl).href : null;
+}
+
+/**
+ * Event text for calendar apps: the description plus a link back to the
+ * event page
+ */
+function detailsText(event, siteUrl) {
+  const pageUrl = absoluteUrl(event.url, siteUrl);
+  return [event.description, pageUrl].filter(Boolean).join('\n\n');
+}
+
+function eventLines(event, siteUrl, stamp) {
+  const host = new URL(siteUrl).hostname;
+  const start = event.isAllDay ? dateStamp(event.dateKey) : utcStamp(event.start);
+  const lines = [
+    'BEGIN:VEVENT',
+    // One UID per occurrence: the series UID (or page slug) plus its start
+    `UID:${event.uid || event.slug}-${start}@${host}`,
+    `DTSTAMP:${utcStamp(stamp)}`
+  ];
+
+  if (event.isAllDay) {
+    lines.push(`DTSTART;VALUE=DATE:${start}`);
+    // All-day DTEND is the (exclusive) day after the last day
+    lines.push(`DTEND;VALUE=DATE:${dateStamp(addDays(event.lastDateKey, 1))}`);
+  } else {
+    lines.push(`DTSTART:${start}`);
+    if (event.end > event.start) lines.push(`DTEND:${utcStamp(event.end)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.category) lines.push(`CATEGORIES:${escapeText(event.category.name)}`);
+  const details = detailsText(event, siteUrl);
+  if (details) lines.push(`DESCRIPTION:${escapeText(details)}`);
+  if (event.url) lines.push(`URL:${absoluteUrl(event.url, siteUrl)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * iCalendar text (CRLF line endings, folded lines) for one occurrence or a
+ * list of them
+ *
+ * @param {Object|Object[]} events - occurrences from lib/calendar.js, with url
+ * @param {Object} options
+ * @param {string} options.siteUrl - absolute site URL for links and UIDs
+ * @param {string} [options.name] - calendar name shown by subscribing apps
+ * @param {Date} [options.now] - DTSTAMP (defaults to the build time)
+ */
+export function toICS(events, { siteUrl, name, now = new Date() }) {
+  const list = Array.isArray(events) ? events : [events];
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    lines.push(`X-WR-TIMEZONE:${TIME_ZONE}`);
+    // Subscribed copies refresh about as often as the site rebuilds
+    lines.push('REFRESH-INTERVAL;VALUE=DURATION:PT12H');
+    lines.push('X-PUBLISHED-TTL:PT12H');
+  }
+  for (const event of list) lines.push(...eventLines(event, siteUrl, now));
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Google Calendar "add event" link
+ */
+export function googleCalendarUrl(event, siteUrl) {
+  const dates = event.isAllDay
+    ? `${dateStamp(event.dateKey)}/${dateStamp(addDays(event.lastDateKey, 1))}`
+    : `${utcStamp(event.start)}/${utcStamp(event.end > event.start ? event.end : event.start)}`;
+  const params = new URLSearchParams({ action: 'TEMPLATE', text: event.title, dates: dates, ctz: TIME_ZONE });
+  const details = detailsText(event, siteUrl);
+  if (details) params.set('details', details);
+  if (event.location) params.set('location', event.location);
+  return `https://calendar.google.com/calendar/render?${params}`;
+}
+
+/**
+ * Outlook.com "add event" link
+ */
+export function outlookCalendarUrl(event, siteUrl) {
+  const params = new URLSearchParams({ path: '/calendar/action/compose', rru: 'addevent', subject: event.title });
+  if (event.isAllDay) {
+    params.set('startdt', event.dateKey);
+    params.set('enddt', addDays(event.lastDateKey, 1));
+    params.set('allday', 'true');
+  } else {
+    params.set('startdt', event.start.toISOString());
+    params.set('enddt', (event.end > event.start ? event.end : event.start).toISOString());
+  }
+  const details = detailsText(event, siteUrl);
+  if (details) params.set('body', details);
+  if (event.location) params.set('location', event.location);
+  return `https://outlook.live.com/calendar/0/action/compose?${params}`;
+}
+
+/**
+ * Remove whole events from iCalendar text and leave the rest exactly as it
+ * was. `keep` gets each event as node-ical parses it; a recurring event's
+ * moved or cancelled weeks (same UID) go with it.
+ */
+export function filterICS(text, keep) {
+  const dropped = new Set(Object.values(ical.sync.parseICS(text))
+    .filter((c) => c.type === 'VEVENT' && !keep(c))
+    .map((c) => c.uid));
+
+  return text.replace(/BEGIN:VEVENT\r?\n[\s\S]*?END:VEVENT\r?\n?/g, (block) => {
+    // Long UIDs (Outlook's are) are folded over several lines
+    const uid = block.replace(/\r?\n[ \t]/g, '').match(/^UID:(.*?)\r?$/m);
+    return uid && dropped.has(uid[1]) ? '' : block;
+  });
+}
@@ -0,0 +1,543 @@
+/**
+ * Image Pipeline
+ *
+ * The one place images are optimized, whether they come from the image
+ * shortcode or from a plain <img> in a template (the images transform in
+ * .eleventy.js). Either way an image is resized to the same widths, saved
+ * in the same formats under /assets/images/optimized/ with the same names
+ * (<name>-<width>w.<format>) and marked up as the same <picture>:
+ *
+ * - shouldSkipImage: logos, icons, SVGs and external images are left alone
+ * - resolveImageSource: the source file an <img src> refers to
+ * - openManifest: source hashes from the last build, so unchanged images
+ *   aren't processed again (.cache/image-manifest.json, or IMAGE_MANIFEST);
+ *   images whose source is gone are forgotten
+ * - parseCrop / parseFocus / cropBox: art direction, i.e. a different
+ *   crop of the image at each breakpoint around an optional focal point
+ * - createPlaceholder: a tiny blurred copy and the dominant color, shown
+ *   behind the image until it loads
+ * - createImagePipeline: processes images a few at a time, rewrites pages
+ *   and keeps the numbers for the size report printed after the build
+ * - pictureHtml: a <picture> for eleventy-img output that keeps the
+ *   original <img>'s attributes
+ *
+ * In templates, art direction and placeholders are set on the <img> (or
+ * with the image shortcode's crop and focus arguments):
+ *
+ *   data-crop="portrait md:wide"  4:5 crop, 16:9 from the md breakpoint up;
+ *                                 a preset (square, portrait, landscape,
+ *                                 wide) or a ratio like 3:1, optionally
+ *                                 after a Tailwind breakpoint
+ *   data-focus="50% 25%"          Point the crops are centered on (as in
+ *                                 object-position; also sets it)
+ *   data-placeholder="color"      Dominant color only, or "none"
+ */
+
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import * as cheerio from 'cheerio';
+import Image from '@11ty/eleventy-img';
+import sharp from 'sharp';
+
+export const DEFAULT_MANIFEST = '.cache/image-manifest.json';
+
+export const IMAGE_WIDTHS = [400, 800, 1200, 1600];
+
+// 'auto' keeps the original format as the fallback
+export const IMAGE_FORMATS = ['avif', 'webp', 'auto'];
+
+// Where optimized images go, in the output directory and on the site
+export const IMAGE_URL_PATH = '/assets/images/optimized/';
+
+// Logos, favicons and icons, by the folder they're kept in or the names
+// browsers look for. Not by a word anywhere in the path: iconic-view.jpg
+// and logo-workshop.jpg are photos.
+const SKIP_DIRECTORIES = ['logos', 'icons', 'favicon'];
+const SKIP_FILES = ['favicon.ico', 'favicon.png', 'apple-touch-icon.png'];
+
+// Named crops for data-crop, as width:height
+export const CROP_PRESETS = {
+  square: [1, 1],
+  portrait: [4, 5],
+  landscape: [3, 2],
+  wide: [16, 9]
+};
+
+// Tailwind's default breakpoints (min-width, px)
+export const BREAKPOINTS = {
+  sm: 640,
+  md: 768,
+  lg: 1024,
+  xl: 1280,
+  '2xl': 1536
+};
+
+const FOCUS_KEYWORDS = { left: 0, top: 0, center: 50, right: 100, bottom: 100 };
+
+// Width of the blurred placeholder image
+const PLACEHOLDER_WIDTH = 16;
+
+// Set from the image itself, or instructions for the pipeline: never
+// copied from the original <img>
+const REPLACED_ATTRIBUTES = ['src', 'srcset', 'sizes', 'width', 'height', 'data-crop', 'data-focus', 'data-placeholder'];
+
+// Formats that can be the <img> fallback, in order of preference
+const FALLBACK_FORMATS = ['jpeg', 'png', 'gif'];
+
+export async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether an image is left as it is: logos and icons (in a logos/, icons/
+ * or favicon/ folder, or a favicon file), anything under 100px, SVGs
+ * (already small) and images on other sites
+ */
+export function shouldSkipImage(src, { width, height } = {}) {
+  const segments = src.split(/[?#]/)[0].toLowerCase().split('/');
+  const file = segments.pop();
+  if (segments.some((segment) => SKIP_DIRECTORIES.includes(segment)) || SKIP_FILES.includes(file)) return true;
+  if ((width && width < 100) || (height && height < 100)) return true;
+  if (/\.svg([?#]|$)/i.test(src)) return true;
+  return /^([a-z][a-z\d+.-]*:|\/\/)/i.test(src);
+}
+
+/**
+ * Path of the file an <img src> refers to: site paths are looked up in the
+ * input directory (where passthrough copies come from), relative ones next
+ * to the template
+ */
+export function resolveImageSource(src, { inputPath = '', inputDir = 'src' } = {}) {
+  const pathname = decodeURI(src.split(/[?#]/)[0]);
+  if (pathname.startsWith('/')) return path.join(inputDir, pathname);
+  return path.join(path.dirname(inputPath), pathname);
+}
+
+export async function hashFile(file) {
+  return crypto.createHash('sha256').update(await fs.readFile(file)).digest('hex');
+}
+
+/**
+ * Crops from a data-crop value, widest breakpoint first. The last one
+ * applies below every breakpoint; its ratio is null (the image as it is)
+ * when the value doesn't give one.
+ */
+export function parseCrop(spec = '') {
+  const crops = String(spec).trim().split(/\s+/).filter(Boolean).map((token) => {
+    const [, breakpoint, value] = /^(?:(sm|md|lg|xl|2xl):)?(.*)$/.exec(token);
+    const ratio = CROP_PRESETS[value] || /^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/.exec(value)?.slice(1).map(Number);
+    if (!ratio || ratio.some((n) => n <= 0)) {
+      throw new Error(`Unknown crop "${token}": use ${Object.keys(CROP_PRESETS).join(', ')} or a ratio like 3:1, optionally after a breakpoint (md:wide)`);
+    }
+    return { minWidth: breakpoint ? BREAKPOINTS[breakpoint] : 0, ratio };
+  });
+
+  if (new Set(crops.map((crop) => crop.minWidth)).size < crops.length) {
+    throw new Error(`Crop "${spec}" gives more than one crop for a breakpoint`);
+  }
+  if (!crops.some((crop) => crop.minWidth === 0)) crops.push({ minWidth: 0, ratio: null });
+  return crops.sort((a, b) => b.minWidth - a.minWidth);
+}
+
+/**
+ * Focal point from a data-focus value, as percentages ({ x, y }), or null.
+ * Takes what object-position does: "30% 20%", "top", "right bottom", ...
+ */
+export function parseFocus(spec = '') {
+  const tokens = String(spec).trim().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return null;
+
+  const values = tokens.map((token) => {
+    if (token in FOCUS_KEYWORDS) return { keyword: token, value: FOCUS_KEYWORDS[token] };
+    const percent = /^(\d+(?:\.\d+)?)%$/.exec(token);
+    return percent && Number(percent[1]) <= 100 ? { value: Number(percent[1]) } : null;
+  });
+  if (tokens.length > 2 || values.includes(null)) {
+    throw new Error(`Unknown focus "${spec}": use percentages ("50% 25%") or keywords ("center top")`);
+  }
+
+  const vertical = (v) => v.keyword === 'top' || v.keyword === 'bottom';
+  const horizontal = (v) => v.keyword === 'left' || v.keyword === 'right';
+  if (values.length === 1) {
+    return vertical(values[0]) ? { x: 50, y: values[0].value } : { x: values[0].value, y: 50 };
+  }
+  const [first, second] = vertical(values[0]) || horizontal(values[1]) ? [values[1], values[0]] : values;
+  return { x: first.value, y: second.value };
+}
+
+/**
+ * Largest region of a width × height image with the given ratio, centered
+ * on the focal point as far as the edges allow
+ */
+export function cropBox(width, height, [ratioWidth, ratioHeight], focus = { x: 50, y: 50 }) {
+  const wider = width / height > ratioWidth / ratioHeight;
+  const cropWidth = wider ? Math.round(height * ratioWidth / ratioHeight) : width;
+  const cropHeight = wider ? height : Math.round(width * ratioHeight / ratioWidth);
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+  return {
+    left: clamp(Math.round(width * focus.x / 100 - cropWidth / 2), width - cropWidth),
+    top: clamp(Math.round(height * focus.y / 100 - cropHeight / 2), height - cropHeight),
+    width: cropWidth,
+    height: cropHeight
+  };
+}
+
+/**
+ * The cropped image, as a buffer for eleventy-img (JPEGs at high quality,
+ * since they're compressed again)
+ */
+export async function cropImage(source, ratio, focus) {
+  const { width, height, orientation = 1, format } = await sharp(source).metadata();
+  const [uprightWidth, uprightHeight] = orientation >= 5 ? [height, width] : [width, height];
+  const cropped = sharp(source).rotate().extract(cropBox(uprightWidth, uprightHeight, ratio, focus || undefined));
+  return format === 'jpeg' ? cropped.jpeg({ quality: 95 }).toBuffer() : cropped.toBuffer();
+}
+
+function hexColor({ r, g, b }) {
+  return '#' + [r, g, b].map((n) => n.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Placeholder for an image: its dominant color and a blurred copy a few
+ * hundred bytes long (an SVG data URI), or null for images with
+ * transparency, where it would show through
+ */
+export async function createPlaceholder(input) {
+  const small = await sharp(input).rotate().resize(64, 64, { fit: 'inside' }).toBuffer();
+  const stats = await sharp(small).stats();
+  if (!stats.isOpaque) return null;
+
+  const { data, info } = await sharp(small).resize(PLACEHOLDER_WIDTH).webp({ quality: 50 }).toBuffer({ resolveWithObject: true });
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${info.width} ${info.height}">` +
+    '<filter id="b" color-interpolation-filters="sRGB"><feGaussianBlur stdDeviation="1"/>' +
+    '<feComponentTransfer><feFuncA type="discrete" tableValues="1 1"/></feComponentTransfer></filter>' +
+    `<image width="100%" height="100%" preserveAspectRatio="none" filter="url(#b)" href="data:image/webp;base64,${data.toString('base64')}"/></svg>`;
+
+  return { color: hexColor(stats.dominant), blur: `data:image/svg+xml,${encodeURIComponent(svg)}` };
+}
+
+/**
+ * Function that runs the jobs it's given with at most `limit` at once
+ */
+export function createLimit(limit) {
+  const queue = [];
+  let running = 0;
+
+  function next() {
+    if (running >= Math.max(1, limit) || queue.length === 0) return;
+    const { job, resolve, reject } = queue.shift();
+    running++;
+    Promise.resolve().then(job).then(resolve, reject).finally(() => {
+      running--;
+      next();
+    });
+  }
+
+  return (job) => new Promise((resolve, reject) => {
+    queue.push({ job, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` running at once; results keep
+ * the items' order
+ */
+export function mapLimit(items, limit, fn) {
+  const run = createLimit(limit);
+  return Promise.all(items.map((item, index) => run(() => fn(item, index))));
+}
+
+/**
+ * Record of processed images ({ metadata, placeholder }), keyed by source
+ * path and then by options (one source can be used at different widths
+ * and crops). An entry is reused when the source hash matches and every
+ * output file still exists; entries for sources that have since been
+ * deleted or renamed are dropped when it's saved.
+ */
+export async function openManifest(file = process.env.IMAGE_MANIFEST || DEFAULT_MANIFEST) {
+  let images = {};
+  try {
+    images = JSON.parse(await fs.readFile(file, 'utf8')).images || {};
+  } catch {
+    // First build, or an unreadable manifest: everything is processed
+  }
+
+  return {
+    async lookup(source, hash, options) {
+      const entry = images[source];
+      const result = entry && entry.hash === hash ? entry.outputs[options] : null;
+      if (!result) return null;
+
+      for (const image of Object.values(result.metadata).flat()) {
+        if (!(await exists(image.outputPath))) return null;
+      }
+      return result;
+    },
+
+    set(source, hash, options, result) {
+      if (images[source]?.hash !== hash) images[source] = { hash, outputs: {} };
+      images[source].outputs[options] = result;
+    },
+
+    async save() {
+      for (const source of Object.keys(images)) {
+        if (!(await exists(source))) delete images[source];
+      }
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify({ images }, null, 2));
+    }
+  };
+}
+
+export function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function fallbackFormat(metadata) {
+  const format = FALLBACK_FORMATS.find((f) => metadata[f]) || Object.keys(metadata).at(-1);
+  return metadata[format];
+}
+
+function sourceTags(metadata, sizes, media) {
+  const mediaAttribute = media ? ` media="${media}"` : '';
+  return Object.values(metadata).map((images) =>
+    `\n  <source${mediaAttribute} type="${images[0].sourceType}" srcset="${images.map((img) => img.srcset).join(', ')}" sizes="${escapeAttribute(sizes)}">`
+  ).join('');
+}
+
+// Inline style showing the placeholder behind the image, and pointing object-position at the focus
+function imageStyle({ placeholder, blur, focus }, style) {
+  const position = focus ? `${focus.x}% ${focus.y}%` : 'center';
+  return [
+    placeholder && (blur ? `background: ${placeholder.color} url("${placeholder.blur}") ${position} / cover no-repeat` : `background-color: ${placeholder.color}`),
+    focus && `object-position: ${position}`,
+    style
+  ].filter(Boolean).join('; ');
+}
+
+/**
+ * <picture> for eleventy-img metadata
+ *
+ * `attributes` are the original <img>'s: all of them are kept (class, alt,
+ * decoding, fetchpriority, data-*, ...) except the ones that describe the
+ * file, which come from the generated images. Images are lazy-loaded and
+ * decoded asynchronously unless the <img> says otherwise.
+ *
+ * Options:
+ *   artDirection  [{ minWidth, metadata }]: other crops, widest breakpoint
+ *                 first, offered in <source media> before the main image
+ *   placeholder   From createPlaceholder, shown as the <img>'s background
+ *   blur          false for the placeholder's color only
+ *   focus         Focal point, as object-position
+ */
+export function pictureHtml(metadata, attributes = {}, { artDirection = [], placeholder = null, blur = true, focus = null } = {}) {
+  const sizes = attributes.sizes || '100vw';
+  const fallback = fallbackFormat(metadata);
+  const largest = fallback.at(-1);
+
+  const sources = artDirection.map((crop) => sourceTags(crop.metadata, sizes, `(min-width: ${crop.minWidth}px)`)).join('') +
+    sourceTags(Object.fromEntries(Object.entries(metadata).filter(([, images]) => images !== fallback)), sizes);
+
+  const img = {
+    alt: '',
+    ...Object.fromEntries(Object.entries(attributes).filter(([name, value]) => !REPLACED_ATTRIBUTES.includes(name) && value != null)),
+    src: largest.url,
+    srcset: fallback.map((img) => img.srcset).join(', '),
+    sizes,
+    width: largest.width,
+    height: largest.height
+  };
+  img.loading ??= 'lazy';
+  img.decoding ??= 'async';
+  const style = imageStyle({ placeholder, blur, focus }, attributes.style);
+  if (style) img.style = style;
+
+  const imgAttributes = Object.entries(img).map(([name, value]) => `${name}="${escapeAttribute(value)}"`).join(' ');
+  return `<picture>${sources}\n  <img ${imgAttributes}>\n</picture>`;
+}
+
+/**
+ * Bytes a visitor's browser loads for an image at most: the largest width
+ * in the first (most compact) format
+ */
+export function optimizedSize(metadata) {
+  return Object.values(metadata)[0].at(-1).size;
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Lines of the size report: one per page with optimized images, then the
+ * total. `pages` is [{ page, images, before, after }].
+ */
+export function sizeReport(pages) {
+  const rows = pages.filter((p) => p.images > 0).sort((a, b) => a.page.localeCompare(b.page));
+  const total = rows.reduce((sum, p) => ({ before: sum.before + p.before, after: sum.after + p.after, images: sum.images + p.images }), { before: 0, after: 0, images: 0 });
+  const width = Math.max(5, ...rows.map((p) => p.page.length));
+
+  const line = (label, { images, before, after }) => {
+    const saved = before > 0 ? Math.round((1 - after / before) * 100) : 0;
+    return `${label.padEnd(width)}  ${String(images).padStart(3)} img  ${formatBytes(before).padStart(8)} → ${formatBytes(after).padStart(8)}  (-${saved}%)`;
+  };
+
+  return [...rows.map((p) => line(p.page, p)), line('Total', total)];
+}
+
+/**
+ * Image processing for one build
+ *
+ * Each source is processed once per build, however many pages use it, with
+ * at most `concurrency` (IMAGE_CONCURRENCY, default one per CPU core) at a
+ * time. `process` is eleventy-img; tests pass a stand-in.
+ */
+export function createImagePipeline({
+  manifest,
+  outputDir = '_site',
+  inputDir = 'src',
+  concurrency = parseInt(process.env.IMAGE_CONCURRENCY) || os.availableParallelism(),
+  process: processImage = Image,
+  placeholder: makePlaceholder = createPlaceholder,
+  log = console
+}) {
+  const run = createLimit(concurrency);
+  const jobs = new Map();
+  const pages = new Map();
+
+  async function optimize(source, widths, ratio, focus) {
+    if (!(await exists(source))) {
+      log.warn(`[Image] Source image not found: ${source}`);
+      return null;
+    }
+
+    const options = JSON.stringify({ widths, formats: IMAGE_FORMATS, ratio, focus });
+    const [hash, { size: before }] = await Promise.all([hashFile(source), fs.stat(source)]);
+    const cached = await manifest.lookup(source, hash, options);
+    if (cached) return { ...cached, before };
+
+    // Crops are named for their ratio (and focus): photo-16x9-50-25-800w.avif
+    const name = path.basename(source, path.extname(source)) +
+      (ratio ? `-${ratio.join('x')}` : '') +
+      (ratio && focus ? `-${focus.x}-${focus.y}` : '');
+
+    try {
+      const result = await run(async () => {
+        const input = ratio ? await cropImage(source, ratio, focus) : source;
+        const metadata = await processImage(input, {
+          widths,
+          formats: IMAGE_FORMATS,
+          outputDir: path.join(outputDir, IMAGE_URL_PATH),
+          urlPath: IMAGE_URL_PATH,
+          filenameFormat: (id, src, width, format) => `${name}-${width}w.${format}`
+        });
+        return { metadata, placeholder: await makePlaceholder(input) };
+      });
+      manifest.set(source, hash, options, result);
+      return { ...result, before };
+    } catch (error) {
+      log.warn(`[Image] Failed to process ${source}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Optimized versions of a source image, cropped to `ratio` around `focus`
+  // if given: { metadata, placeholder, before }, or null
+  function image(source, { widths = IMAGE_WIDTHS, ratio = null, focus = null } = {}) {
+    const key = JSON.stringify([source, widths, ratio, ratio && focus]);
+    if (!jobs.has(key)) jobs.set(key, optimize(source, widths, ratio, ratio && focus));
+    return jobs.get(key);
+  }
+
+  function record(page, { metadata, before }) {
+    if (!pages.has(page)) pages.set(page, { page, images: 0, before: 0, after: 0 });
+    const totals = pages.get(page);
+    totals.images++;
+    totals.before += before;
+    totals.after += optimizedSize(metadata);
+  }
+
+  /**
+   * <picture> for one image, or null if it couldn't be processed. Crops,
+   * focus and placeholder come from the data-* attributes (see the top of
+   * this file).
+   */
+  async function pictureFor(src, attributes, { widths, inputPath, page } = {}) {
+    const crops = parseCrop(attributes['data-crop']);
+    const focus = parseFocus(attributes['data-focus']);
+    const placeholder = attributes['data-placeholder'] || 'blur';
+    if (!['blur', 'color', 'none'].includes(placeholder)) {
+      throw new Error(`Unknown placeholder "${placeholder}" for ${src}: use blur, color or none`);
+    }
+
+    const source = resolveImageSource(src, { inputPath, inputDir });
+    const results = await Promise.all(crops.map((crop) => image(source, { widths, ratio: crop.ratio, focus })));
+    if (results.includes(null)) return null;
+
+    const main = results.at(-1);
+    if (page) record(page, main);
+    return pictureHtml(main.metadata, attributes, {
+      artDirection: crops.slice(0, -1).map((crop, i) => ({ minWidth: crop.minWidth, metadata: results[i].metadata })),
+      placeholder: placeholder === 'none' ? null : main.placeholder,
+      blur: placeholder === 'blur',
+      focus
+    });
+  }
+
+  /**
+   * A page's HTML with its plain <img> tags turned into <picture>s; ones
+   * already in a <picture> (the image shortcode's) are left alone
+   */
+  async function transformHtml(html, { inputPath, page } = {}) {
+    // Most pages' only images are the logos: don't parse those
+    const sources = [...html.matchAll(/<img\b[^>]*?\ssrc=["']?([^"'\s>]+)/gi)].map((match) => match[1]);
+    if (!sources.some((src) => !shouldSkipImage(src))) return html;
+
+    const $ = cheerio.load(html);
+    const candidates = $('img').toArray().map((img) => $(img)).filter(($img) => {
+      const src = $img.attr('src');
+      if (!src || $img.parent().is('picture')) return false;
+      const width = parseInt($img.attr('width')) || null;
+      const height = parseInt($img.attr('height')) || null;
+      return !shouldSkipImage(src, { width, height });
+    });
+    if (candidates.length === 0) return html;
+
+    let changed = false;
+    await Promise.all(candidates.map(async ($img) => {
+      const picture = await pictureFor($img.attr('src'), $img.attr(), { inputPath, page });
+      if (!picture) return;
+      $img.replaceWith(picture);
+      changed = true;
+    }));
+
+    return changed ? $.html() : html;
+  }
+
+  return {
+    image,
+    pictureFor,
+    transformHtml,
+
+    // Size report lines, or none if no page had an optimized image
+    report() {
+      const totals = [...pages.values()];
+      return totals.length > 0 ? sizeReport(totals) : [];
+    },
+
+    save() {
+      return manifest.save();
+    }
+  };
+}
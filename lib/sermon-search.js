@@ -0,0 +1,347 @@
+/**
+ * Sermon Search
+ *
+ * Ranked, typo-tolerant full-text search over the index that
+ * src/_data/sermons.js writes to /sermons/search-index.json at build time.
+ * It runs in the browser (copied to /assets/js/lib/ and loaded by
+ * assets/js/sermon-search.js), so it imports nothing. Covered by
+ * test/sermon-search.test.js.
+ *
+ *   const search = createSearchIndex(data);
+ *   search.query('grace romans');   // [{ id, score, terms }], best first
+ *   search.byId.get(id);            // { id, title, scripture, speaker, series, text }
+ *   excerpt(text, terms);           // a snippet around the first match
+ *
+ * Queries that read as a Bible reference ("John 3:16", "1 Cor 13",
+ * "John.3.16") can instead be matched on the sermons' passages:
+ *
+ *   const passage = search.parsePassage('John 3:16');
+ *   search.passageQuery(passage);   // [{ id, score }], closest overlap first
+ *   passageSearch(location.search, passage);  // '?passage=John.3.16'
+ */
+
+// A hit in the title counts for more than one in the description
+const WEIGHTS = { title: 6, scripture: 5, series: 4, speaker: 3, text: 1 };
+const SEARCH_FIELDS = Object.keys(WEIGHTS);
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'we', 'with'
+]);
+
+export function normalize(str) {
+  return String(str || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+export function tokenize(str) {
+  return normalize(str).match(/[a-z0-9]+/g) || [];
+}
+
+// Typos allowed grow with word length: none for short words
+function allowedEdits(word) {
+  if (word.length >= 7) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Edit distance counting a swap of neighbouring letters as one edit,
+ * giving up early (max + 1) once it exceeds max
+ */
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Common abbreviations that aren't simply the start of the book's name
+const BOOK_ABBREVIATIONS = {
+  jn: 'John', jhn: 'John', mk: 'Mark', mrk: 'Mark', mt: 'Matt', lk: 'Luke',
+  jas: 'Jas', jms: 'Jas', jdg: 'Judg', jdgs: 'Judg', sos: 'Song', ss: 'Song',
+  songofsongs: 'Song', canticles: 'Song', qoh: 'Eccl', qoheleth: 'Eccl',
+  pss: 'Ps', phm: 'Phlm', ezk: 'Ezek', hab: 'Hab', zeph: 'Zeph', hag: 'Hag'
+};
+const ORDINALS = { i: '1', ii: '2', iii: '3', first: '1', second: '2', third: '3' };
+
+// Case, spaces and dots don't matter: "1 Cor." and "1cor" are the same
+function bookKey(str) {
+  return normalize(str)
+    .replace(/^(iii|ii|i|first|second|third)\s+/, (_, ordinal) => ORDINALS[ordinal])
+    .replace(/[\s.]/g, '');
+}
+
+function createBookLookup(books) {
+  const exact = new Map();
+  books.forEach((book, index) => {
+    exact.set(bookKey(book.name), index);
+    exact.set(bookKey(book.osis), index);
+  });
+  const byOsis = new Map(books.map((book, index) => [book.osis, index]));
+  Object.entries(BOOK_ABBREVIATIONS).forEach(([abbreviation, osis]) => exact.set(abbreviation, byOsis.get(osis)));
+
+  return function findBook(str) {
+    const key = bookKey(str);
+    if (exact.has(key)) return exact.get(key);
+    // Otherwise the first book (in canonical order) whose name starts with it
+    if (!/[a-z]{2}/.test(key)) return -1;
+    return books.findIndex((book) => bookKey(book.name).startsWith(key));
+  };
+}
+
+function countTerms(text) {
+  const counts = new Map();
+  tokenize(text).forEach((term) => counts.set(term, (counts.get(term) || 0) + 1));
+  return counts;
+}
+
+// "John 3:16-18", "Romans 8:12-9:5", "Psalms 23" - as lib/sermons.js formats them
+function formatPassage(book, startChapter, startVerse, endChapter, endVerse, wholeChapters) {
+  let range;
+  if (wholeChapters) {
+    range = startChapter === endChapter ? String(startChapter) : `${startChapter}-${endChapter}`;
+  } else if (startChapter !== endChapter) {
+    range = `${startChapter}:${startVerse}-${endChapter}:${endVerse}`;
+  } else {
+    range = `${startChapter}:${startVerse}${endVerse !== startVerse ? `-${endVerse}` : ''}`;
+  }
+  return `${book.name} ${range}`;
+}
+
+// OSIS form for links: "John.3.16", "John.3.16-John.3.18", "Rom.8-Rom.9"
+function formatOsis(book, startChapter, startVerse, endChapter, endVerse, wholeChapters) {
+  const start = `${book.osis}.${startChapter}${wholeChapters ? '' : `.${startVerse}`}`;
+  const end = `${book.osis}.${endChapter}${wholeChapters ? '' : `.${endVerse}`}`;
+  return start === end ? start : `${start}-${end}`;
+}
+
+/**
+ * Search over the index data ({ fields, books, docs }, see buildSearchIndex
+ * in src/_data/sermons.js)
+ */
+export function createSearchIndex(data) {
+  const docs = data.docs.map((row) => {
+    const doc = {};
+    data.fields.forEach((field, i) => { doc[field] = row[i] || ''; });
+    doc.terms = {};
+    SEARCH_FIELDS.forEach((field) => { doc.terms[field] = countTerms(doc[field]); });
+    doc.titleNormalized = normalize(doc.title);
+    return doc;
+  });
+
+  const vocabulary = new Set();
+  docs.forEach((doc) => SEARCH_FIELDS.forEach((field) => doc.terms[field].forEach((_, term) => vocabulary.add(term))));
+
+  // Index terms close enough to a query word, with how close they are (0-1)
+  const matchCache = new Map();
+  function matchingTerms(word) {
+    if (matchCache.has(word)) return matchCache.get(word);
+    const maxEdits = allowedEdits(word);
+    const matches = new Map();
+    vocabulary.forEach((term) => {
+      if (term === word) {
+        matches.set(term, 1);
+      } else if (word.length >= 2 && term.startsWith(word)) {
+        // Partial word, usually still being typed
+        matches.set(term, 0.5 + 0.3 * (word.length / term.length));
+      } else if (maxEdits > 0) {
+        const distance = editDistance(word, term, maxEdits);
+        if (distance <= maxEdits) matches.set(term, 0.6 - 0.15 * (distance - 1));
+      }
+    });
+    matchCache.set(word, matches);
+    return matches;
+  }
+
+  function query(text) {
+    const allWords = [...new Set(tokenize(text))];
+    const contentWords = allWords.filter((word) => !STOP_WORDS.has(word));
+    const words = contentWords.length > 0 ? contentWords : allWords;
+    if (words.length === 0) return [];
+
+    const phrase = normalize(text).trim();
+    const results = [];
+
+    docs.forEach((doc, order) => {
+      let score = 0;
+      const terms = new Set();
+
+      // Every query word has to match somewhere in the sermon
+      const allMatched = words.every((word) => {
+        let wordScore = 0;
+        matchingTerms(word).forEach((similarity, term) => {
+          SEARCH_FIELDS.forEach((field) => {
+            const count = doc.terms[field].get(term);
+            if (!count) return;
+            // Repeats only add weight in the description
+            const repeat = field === 'text' ? 1 + Math.log(count) : 1;
+            wordScore = Math.max(wordScore, WEIGHTS[field] * similarity * repeat);
+            terms.add(term);
+          });
+        });
+        score += wordScore;
+        return wordScore > 0;
+      });
+      if (!allMatched) return;
+
+      if (words.length > 1 && doc.titleNormalized.includes(phrase)) score += WEIGHTS.title * words.length;
+      results.push({ id: doc.id, score, terms, order });
+    });
+
+    // Best score first; ties keep archive order (newest first)
+    return results.sort((a, b) => b.score - a.score || a.order - b.order);
+  }
+
+  // --- Passage lookup ---
+
+  const books = (data.books || []).map(([osis, name, verses]) => ({ osis, name, verses }));
+  const findBook = createBookLookup(books);
+
+  // Verse position within a book, counting from the first verse of chapter 1
+  function versePosition(bookIndex, chapter, verse) {
+    const verses = books[bookIndex].verses;
+    let position = verse;
+    for (let c = 1; c < chapter; c++) position += verses[c - 1];
+    return position;
+  }
+
+  function span(bookIndex, startChapter, startVerse, endChapter, endVerse) {
+    return {
+      start: versePosition(bookIndex, startChapter, startVerse),
+      end: versePosition(bookIndex, endChapter, endVerse)
+    };
+  }
+
+  // "John 3:16", "John 3:16-18", "John 3:16-4:2", "Jn 3", "Romans 8-9",
+  // "1 Cor 13:4", or OSIS "John.3.16" / "John.3.16-John.3.18".
+  // Returns null if the text isn't a reference to a real chapter and verse.
+  function parsePassage(text) {
+    const cleaned = String(text || '').trim()
+      .replace(/[–—]/g, '-')
+      .replace(/-\s*(?:[1-3]\s*)?[a-z]+\.(?=\d)/i, '-');
+    let match = cleaned.match(/^((?:[1-3]|i{1,3}|first|second|third)?\s*[a-z][a-z .]*?)\s*(\d+)(?:\s*[:.]\s*(\d+))?(?:\s*-\s*(?:(\d+)\s*[:.]\s*)?(\d+))?$/i);
+    if (!match) return null;
+
+    const bookIndex = findBook(match[1]);
+    if (bookIndex < 0) return null;
+    const book = books[bookIndex];
+    // One-chapter books are cited by verse: "Jude 3" is Jude 1:3
+    if (book.verses.length === 1 && match[3] === undefined && match[4] === undefined && Number(match[2]) > 1) {
+      match = [match[0], match[1], '1', match[2], undefined, match[5]];
+    }
+    const hasVerse = match[3] !== undefined;
+
+    const startChapter = Number(match[2]);
+    const startVerse = hasVerse ? Number(match[3]) : 1;
+    let endChapter = startChapter;
+    let endVerse;
+    if (match[4] !== undefined) {
+      endChapter = Number(match[4]);
+      endVerse = Number(match[5]);
+    } else if (match[5] !== undefined) {
+      // After a verse the number is a verse ("3:16-18"), otherwise a chapter ("8-9")
+      if (hasVerse) endVerse = Number(match[5]);
+      else endChapter = Number(match[5]);
+    }
+
+    if (startChapter < 1 || endChapter < startChapter || endChapter > book.verses.length) return null;
+    if (startVerse < 1 || startVerse > book.verses[startChapter - 1]) return null;
+    if (endVerse === undefined) endVerse = hasVerse ? startVerse : book.verses[endChapter - 1];
+    endVerse = Math.min(endVerse, book.verses[endChapter - 1]);
+    if (endChapter === startChapter && endVerse < startVerse) return null;
+
+    return {
+      book: bookIndex,
+      bookName: book.name,
+      startChapter,
+      startVerse,
+      endChapter,
+      endVerse,
+      wholeChapters: !hasVerse,
+      label: formatPassage(book, startChapter, startVerse, endChapter, endVerse, !hasVerse),
+      osis: formatOsis(book, startChapter, startVerse, endChapter, endVerse, !hasVerse)
+    };
+  }
+
+  // Sermons whose passages overlap, closest match first: a sermon on
+  // exactly the requested verses scores 1, a long passage that merely
+  // contains them scores less
+  function passageQuery(passage) {
+    const wanted = span(passage.book, passage.startChapter, passage.startVerse, passage.endChapter, passage.endVerse);
+    const results = [];
+
+    docs.forEach((doc, order) => {
+      let score = 0;
+      (doc.passages || []).forEach(([bookIndex, startChapter, startVerse, endChapter, endVerse]) => {
+        if (bookIndex !== passage.book) return;
+        const covered = span(bookIndex, startChapter, startVerse, endChapter, endVerse);
+        const overlap = Math.min(wanted.end, covered.end) - Math.max(wanted.start, covered.start) + 1;
+        if (overlap <= 0) return;
+        const union = Math.max(wanted.end, covered.end) - Math.min(wanted.start, covered.start) + 1;
+        score = Math.max(score, overlap / union);
+      });
+      if (score > 0) results.push({ id: doc.id, score, order });
+    });
+
+    return results.sort((a, b) => b.score - a.score || a.order - b.order);
+  }
+
+  return {
+    query,
+    parsePassage,
+    passageQuery,
+    docs,
+    byId: new Map(docs.map((doc) => [doc.id, doc]))
+  };
+}
+
+/**
+ * The archive's query string with ?passage= set to the passage's OSIS form
+ * (or removed when there is none), keeping any other parameters. The page
+ * reads it back with parsePassage, so /sermons/?passage=John.3.16 can be
+ * shared.
+ */
+export function passageSearch(search, passage) {
+  const params = new URLSearchParams(search);
+  if (passage) {
+    params.set('passage', passage.osis);
+  } else {
+    params.delete('passage');
+  }
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * A short passage of text around the first matched word, or '' if none
+ */
+export function excerpt(text, terms, length = 180) {
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let match;
+  while ((match = wordPattern.exec(text))) {
+    if (!tokenize(match[0]).some((term) => terms.has(term))) continue;
+    let start = Math.max(0, match.index - Math.floor(length / 3));
+    let end = Math.min(text.length, start + length);
+    // Don't cut words in half
+    const wordStart = text.indexOf(' ', start) + 1;
+    if (start > 0 && wordStart > 0 && wordStart <= match.index) start = wordStart;
+    if (end < text.length) end = text.lastIndexOf(' ', end) > match.index ? text.lastIndexOf(' ', end) : end;
+    return `${start > 0 ? '… ' : ''}${text.slice(start, end).trim()}${end < text.length ? ' …' : ''}`;
+  }
+  return '';
+}
@@ -0,0 +1,311 @@
+/**
+ * Sermon Helpers
+ *
+ * Scripture parsing and formatting, durations, feed text clean-up, date
+ * checks and podcast season numbers for src/_data/sermons.js. Covered by
+ * test/sermons.test.js.
+ *
+ * References are parsed with bible-passage-reference-parser, which also
+ * copes with abbreviations and common misspellings ("Galations", "1 Cor",
+ * "Jn"), into structured passages with full book names.
+ */
+
+import { bcv_parser } from 'bible-passage-reference-parser/esm/bcv_parser.js';
+import * as bcvLang from 'bible-passage-reference-parser/esm/lang/en.js';
+
+// Canonical book list: OSIS id, display name, testament.
+// Order matters - it's the order books appear in the Protestant canon.
+export const BIBLE_BOOKS = [
+  ['Gen', 'Genesis', 'OT'],
+  ['Exod', 'Exodus', 'OT'],
+  ['Lev', 'Leviticus', 'OT'],
+  ['Num', 'Numbers', 'OT'],
+  ['Deut', 'Deuteronomy', 'OT'],
+  ['Josh', 'Joshua', 'OT'],
+  ['Judg', 'Judges', 'OT'],
+  ['Ruth', 'Ruth', 'OT'],
+  ['1Sam', '1 Samuel', 'OT'],
+  ['2Sam', '2 Samuel', 'OT'],
+  ['1Kgs', '1 Kings', 'OT'],
+  ['2Kgs', '2 Kings', 'OT'],
+  ['1Chr', '1 Chronicles', 'OT'],
+  ['2Chr', '2 Chronicles', 'OT'],
+  ['Ezra', 'Ezra', 'OT'],
+  ['Neh', 'Nehemiah', 'OT'],
+  ['Esth', 'Esther', 'OT'],
+  ['Job', 'Job', 'OT'],
+  ['Ps', 'Psalms', 'OT'],
+  ['Prov', 'Proverbs', 'OT'],
+  ['Eccl', 'Ecclesiastes', 'OT'],
+  ['Song', 'Song of Solomon', 'OT'],
+  ['Isa', 'Isaiah', 'OT'],
+  ['Jer', 'Jeremiah', 'OT'],
+  ['Lam', 'Lamentations', 'OT'],
+  ['Ezek', 'Ezekiel', 'OT'],
+  ['Dan', 'Daniel', 'OT'],
+  ['Hos', 'Hosea', 'OT'],
+  ['Joel', 'Joel', 'OT'],
+  ['Amos', 'Amos', 'OT'],
+  ['Obad', 'Obadiah', 'OT'],
+  ['Jonah', 'Jonah', 'OT'],
+  ['Mic', 'Micah', 'OT'],
+  ['Nah', 'Nahum', 'OT'],
+  ['Hab', 'Habakkuk', 'OT'],
+  ['Zeph', 'Zephaniah', 'OT'],
+  ['Hag', 'Haggai', 'OT'],
+  ['Zech', 'Zechariah', 'OT'],
+  ['Mal', 'Malachi', 'OT'],
+  ['Matt', 'Matthew', 'NT'],
+  ['Mark', 'Mark', 'NT'],
+  ['Luke', 'Luke', 'NT'],
+  ['John', 'John', 'NT'],
+  ['Acts', 'Acts', 'NT'],
+  ['Rom', 'Romans', 'NT'],
+  ['1Cor', '1 Corinthians', 'NT'],
+  ['2Cor', '2 Corinthians', 'NT'],
+  ['Gal', 'Galatians', 'NT'],
+  ['Eph', 'Ephesians', 'NT'],
+  ['Phil', 'Philippians', 'NT'],
+  ['Col', 'Colossians', 'NT'],
+  ['1Thess', '1 Thessalonians', 'NT'],
+  ['2Thess', '2 Thessalonians', 'NT'],
+  ['1Tim', '1 Timothy', 'NT'],
+  ['2Tim', '2 Timothy', 'NT'],
+  ['Titus', 'Titus', 'NT'],
+  ['Phlm', 'Philemon', 'NT'],
+  ['Heb', 'Hebrews', 'NT'],
+  ['Jas', 'James', 'NT'],
+  ['1Pet', '1 Peter', 'NT'],
+  ['2Pet', '2 Peter', 'NT'],
+  ['1John', '1 John', 'NT'],
+  ['2John', '2 John', 'NT'],
+  ['3John', '3 John', 'NT'],
+  ['Jude', 'Jude', 'NT'],
+  ['Rev', 'Revelation', 'NT'],
+].map(([osis, name, testament], index) => ({ osis, name, testament, order: index + 1 }));
+
+export const BOOKS_BY_OSIS = new Map(BIBLE_BOOKS.map((book) => [book.osis, book]));
+export const BOOKS_BY_NAME = new Map(BIBLE_BOOKS.map((book) => [book.name, book]));
+
+/**
+ * Sort comparator for book names: canonical order (Genesis to Revelation),
+ * not alphabetical. Unknown names go last.
+ */
+export function compareBooks(a, b) {
+  const order = (name) => BOOKS_BY_NAME.get(name)?.order ?? BIBLE_BOOKS.length + 1;
+  return order(a) - order(b);
+}
+
+// One parser instance for the whole build. "b" compaction keeps whole
+// chapters as "John.3" so we can tell "John 3" apart from "John 3:1-36".
+const bcv = new bcv_parser(bcvLang);
+bcv.set_options({
+  osis_compaction_strategy: 'b',
+  book_alone_strategy: 'ignore',
+  consecutive_combination_strategy: 'separate',
+});
+export const VERSE_COUNTS = bcv.translation_info('default').chapters;
+
+/**
+ * Number of verses in a chapter, per the parser's default versification
+ */
+function lastVerse(bookOsis, chapter) {
+  return VERSE_COUNTS[bookOsis]?.[chapter - 1] || 1;
+}
+
+/**
+ * Split one OSIS range ("Rom.8.12-Rom.9.5", "John.3", "Gen.50-Exod.2")
+ * into structured passages, one per book.
+ */
+export function osisToPassages(osis) {
+  const [startRef, endRef = startRef] = osis.split('-');
+  const [startBook, startCh, startVs] = startRef.split('.');
+  const [endBook, endCh, endVs] = endRef.split('.');
+  if (!BOOKS_BY_OSIS.has(startBook) || !BOOKS_BY_OSIS.has(endBook)) return [];
+
+  const passages = [];
+  const first = BOOKS_BY_OSIS.get(startBook).order;
+  const last = BOOKS_BY_OSIS.get(endBook).order;
+
+  for (let order = first; order <= last; order++) {
+    const book = BIBLE_BOOKS[order - 1];
+    const chapterCount = VERSE_COUNTS[book.osis].length;
+    const isFirst = order === first;
+    const isLast = order === last;
+
+    const startChapter = isFirst && startCh ? Number(startCh) : 1;
+    const startVerse = isFirst && startVs ? Number(startVs) : 1;
+    const endChapter = isLast && endCh ? Number(endCh) : chapterCount;
+    const endVerse = isLast && endVs ? Number(endVs) : lastVerse(book.osis, endChapter);
+
+    const startOsis = `${book.osis}.${startChapter}.${startVerse}`;
+    const endOsis = `${book.osis}.${endChapter}.${endVerse}`;
+
+    passages.push({
+      osis: startOsis === endOsis ? startOsis : `${startOsis}-${endOsis}`,
+      book: book.name,
+      bookOsis: book.osis,
+      testament: book.testament,
+      startChapter,
+      startVerse,
+      endChapter,
+      endVerse,
+      // Whether the source named whole chapters ("Romans 8") or verses
+      wholeChapters: startVerse === 1 && endVerse === lastVerse(book.osis, endChapter),
+    });
+  }
+
+  return passages;
+}
+
+/**
+ * Parse free text into structured passages.
+ * Only the first reference sequence is used - Substack descriptions lead
+ * with the sermon text ("Acts 2:42-47 Sermon") and may cite other
+ * passages further down.
+ */
+export function parseScripture(text) {
+  if (!text || typeof text !== 'string') return { text: '', passages: [] };
+
+  const [entity] = bcv.parse(text).osis_and_indices();
+  if (!entity || !entity.osis) return { text: '', passages: [] };
+
+  return {
+    text: text.slice(entity.indices[0], entity.indices[1]).trim(),
+    passages: entity.osis.split(',').flatMap(osisToPassages),
+  };
+}
+
+/**
+ * A sermon's text: Scripture leads the Substack description; fall back to
+ * the title, then the subtitle (SermonAudio puts the text there). A local
+ * archive entry can give it directly.
+ */
+export function findScripture(item) {
+  let scripture = parseScripture(item.scripture || stripHtml(item.description));
+  for (const fallback of [item.title, item.subtitle]) {
+    if (scripture.passages.length === 0) scripture = parseScripture(fallback);
+  }
+  return scripture;
+}
+
+/**
+ * Format a single passage's chapter/verse part: "8", "8-9", "8:1-11", "8:12-9:5"
+ */
+function formatPassageRange(p) {
+  if (p.wholeChapters) {
+    return p.startChapter === p.endChapter ? `${p.startChapter}` : `${p.startChapter}-${p.endChapter}`;
+  }
+  if (p.startChapter !== p.endChapter) {
+    return `${p.startChapter}:${p.startVerse}-${p.endChapter}:${p.endVerse}`;
+  }
+  if (p.startVerse === p.endVerse) {
+    return `${p.startChapter}:${p.startVerse}`;
+  }
+  return `${p.startChapter}:${p.startVerse}-${p.endVerse}`;
+}
+
+/**
+ * Format passages for display with full book names.
+ * The book name is only repeated when it changes: "Genesis 1:1; 2:4; John 3"
+ */
+export function formatPassages(passages) {
+  return passages
+    .map((p, i) => {
+      const range = formatPassageRange(p);
+      return i > 0 && passages[i - 1].bookOsis === p.bookOsis ? range : `${p.book} ${range}`;
+    })
+    .join('; ');
+}
+
+/**
+ * Format seconds into MM:SS or H:MM:SS display string
+ */
+export function formatDuration(totalSeconds) {
+  if (!totalSeconds || totalSeconds <= 0) return '';
+  const num = typeof totalSeconds === 'string' ? parseInt(totalSeconds, 10) : totalSeconds;
+  if (isNaN(num) || num <= 0) return '';
+
+  const hours = Math.floor(num / 3600);
+  const minutes = Math.floor((num % 3600) / 60);
+  const seconds = num % 60;
+
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+  }
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Parse duration - handles both seconds (Substack) and H:MM:SS (SermonAudio)
+ */
+export function parseDurationToSeconds(durationVal) {
+  if (!durationVal) return 0;
+  const str = String(durationVal).trim();
+
+  // If it's just a number (seconds from Substack)
+  if (/^\d+$/.test(str)) {
+    return parseInt(str, 10);
+  }
+
+  // H:MM:SS or MM:SS format
+  const parts = str.split(':').map(Number);
+  if (parts.length === 3) {
+    return parts[0] * 3600 + parts[1] * 60 + parts[2];
+  } else if (parts.length === 2) {
+    return parts[0] * 60 + parts[1];
+  }
+  return 0;
+}
+
+/**
+ * Strip HTML from a feed description, leaving plain text for meta tags
+ */
+export function stripHtml(html) {
+  if (!html) return '';
+  return html
+    .replace(/<\/(p|div|li|h[1-6])>/gi, ' ')
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&rsquo;|&lsquo;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * podcast:season number for a series: the `season` set for it in
+ * sermonSeries.js, or null. Podcast apps keep the numbers they've seen, so
+ * a series only becomes a season once it's been given one for good.
+ */
+export function seasonNumber(name, details = {}) {
+  const season = Number(details[name]?.season);
+  return Number.isInteger(season) && season > 0 ? season : null;
+}
+
+/**
+ * The records from one source that have a readable date. A sermon without
+ * one can't be sorted, shown or put in the feed, so it's left out with a
+ * warning naming the source and guid rather than failing the build.
+ */
+export function datedRecords(records, source) {
+  return records.filter((record) => {
+    if (!Number.isNaN(new Date(record.date).getTime())) return true;
+    console.warn(`[Sermons] Skipping ${source} sermon ${record.guid || record.title}: "${record.date ?? ''}" is not a date`);
+    return false;
+  });
+}
+
+/**
+ * "www.sermonaudio.com/sermon/123" as "sermonaudio.com", to label a link;
+ * empty for a relative or malformed link
+ */
+export function linkHost(link) {
+  try {
+    return new URL(link).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
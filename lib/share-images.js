@@ -0,0 +1,323 @@
+/**
+ * Share Images
+ *
+ * The picture Facebook and other sites show with a link to the site
+ * (og:image and twitter:image): a 1200×630 PNG for every page, drawn from
+ * an SVG template in the site's colors and fonts. It shows the logo, the
+ * page's title and, for sermons, the Scripture, speaker and date.
+ *
+ * Text is turned into outlines with opentype.js using the same Cormorant
+ * Garamond and Roboto files the site loads (from @fontsource), so the PNG
+ * (rendered by sharp) looks the same wherever the build runs, whatever
+ * fonts the machine has.
+ *
+ * The sermon podcast's square channel artwork (podcastArtworkSvg) is drawn
+ * the same way, for when the sermon feed has none of its own.
+ *
+ * Pages register their image while they render (the shareImage and
+ * podcastArtwork shortcodes) and the PNGs are written after the build. Each one is cached in
+ * .cache/share-images/ (or SHARE_IMAGE_CACHE) by a hash of its SVG, which
+ * is also added to its URL so Facebook fetches it again when it changes.
+ */
+
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import opentype from 'opentype.js';
+import sharp from 'sharp';
+import { createLimit, exists } from './images.js';
+
+export const WIDTH = 1200;
+export const HEIGHT = 630;
+
+// Apple Podcasts wants 1400 to 3000 pixels square
+export const ARTWORK_SIZE = 1400;
+
+export const DEFAULT_CACHE_DIR = '.cache/share-images';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const FONT_FILES = {
+  display: 'node_modules/@fontsource/cormorant-garamond/files/cormorant-garamond-latin-600-normal.woff',
+  displayMedium: 'node_modules/@fontsource/cormorant-garamond/files/cormorant-garamond-latin-500-normal.woff',
+  body: 'node_modules/@fontsource/roboto/files/roboto-latin-400-normal.woff',
+  bodyLight: 'node_modules/@fontsource/roboto/files/roboto-latin-300-normal.woff'
+};
+
+const LOGO_FILE = 'src/assets/images/logos/SpencerMills_Logo_WhiteOutline_GreenText.svg';
+const MARK_FILE = 'src/assets/images/logos/SpencerMills_BrandMark.svg';
+
+// The @theme colors in src/assets/css/main.css, as hex
+const COLORS = {
+  navy: '#1c3138',
+  spruce: '#43c07a',
+  lightGreen: '#c1e1c6',
+  lightBlue: '#7fa5b8',
+  offWhite: '#eeeeee',
+  white: '#ffffff'
+};
+
+const MARGIN = 80;
+const TEXT_WIDTH = WIDTH - MARGIN * 2;
+
+let assets;
+
+/**
+ * Fonts and logo for the template, read once
+ */
+export function loadAssets() {
+  assets ??= (async () => {
+    const fonts = {};
+    for (const [name, file] of Object.entries(FONT_FILES)) {
+      const data = await fs.readFile(path.join(ROOT, file));
+      fonts[name] = opentype.parse(data.buffer.slice(data.byteOffset, data.byteOffset + data.length));
+    }
+    const dataUri = async (file) => `data:image/svg+xml;base64,${(await fs.readFile(path.join(ROOT, file))).toString('base64')}`;
+    return { fonts, logo: await dataUri(LOGO_FILE), mark: await dataUri(MARK_FILE) };
+  })();
+  return assets;
+}
+
+function decodeEntities(text) {
+  return String(text ?? '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#x27;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * What a page's image says. Sermons (and any page) can set `share` in
+ * their data ({ eyebrow, title, scripture, speaker, date }); otherwise it
+ * comes from the page title, e.g. "Potluck - Events - <site title>" is
+ * the title "Potluck" under "Events".
+ */
+export function shareCard(title, share, siteTitle) {
+  if (share && share.title) {
+    return {
+      eyebrow: decodeEntities(share.eyebrow),
+      title: decodeEntities(share.title),
+      subtitle: decodeEntities(share.scripture),
+      byline: [share.speaker, share.date].filter(Boolean).map(decodeEntities).join(' · ')
+    };
+  }
+
+  const suffix = ` - ${siteTitle}`;
+  let heading = decodeEntities(title || siteTitle);
+  if (siteTitle && heading.endsWith(suffix)) heading = heading.slice(0, -suffix.length);
+
+  const parts = heading.split(' - ');
+  const eyebrow = parts.length > 1 ? parts.pop() : '';
+  return { eyebrow, title: parts.join(' - '), subtitle: '', byline: '' };
+}
+
+// Glyph by glyph with kerning: opentype.js's own layout trips over
+// contextual substitutions in these fonts, and the titles don't need them
+function layout(font, text, size) {
+  const scale = size / font.unitsPerEm;
+  const glyphs = [...text].map((char) => font.charToGlyph(char));
+  let x = 0;
+  return {
+    glyphs: glyphs.map((glyph, i) => {
+      const at = x;
+      x += (glyph.advanceWidth + (i + 1 < glyphs.length ? font.getKerningValue(glyph, glyphs[i + 1]) : 0)) * scale;
+      return { glyph, x: at };
+    }),
+    width: x
+  };
+}
+
+export function textWidth(font, text, size) {
+  return layout(font, text, size).width;
+}
+
+/**
+ * Greedy word wrap to `maxWidth` at `size`
+ */
+export function wrapText(font, text, size, maxWidth) {
+  const lines = [];
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const line = lines.length ? `${lines.at(-1)} ${word}` : word;
+    if (lines.length && textWidth(font, line, size) <= maxWidth) {
+      lines[lines.length - 1] = line;
+    } else {
+      lines.push(word);
+    }
+  }
+  return lines;
+}
+
+/**
+ * The first size in `sizes` that fits `text` in `maxLines`; at the
+ * smallest, whatever doesn't fit is cut off with an ellipsis
+ */
+export function fitText(font, text, { sizes, maxWidth, maxLines }) {
+  for (const size of sizes) {
+    const lines = wrapText(font, text, size, maxWidth);
+    if (lines.length <= maxLines) return { size, lines };
+  }
+
+  const size = sizes.at(-1);
+  const lines = wrapText(font, text, size, maxWidth).slice(0, maxLines);
+  let last = lines.at(-1);
+  while (last.includes(' ') && textWidth(font, `${last}…`, size) > maxWidth) {
+    last = last.slice(0, last.lastIndexOf(' '));
+  }
+  lines[lines.length - 1] = `${last.replace(/[\s,.;:–-]+$/, '')}…`;
+  return { size, lines };
+}
+
+function textPath(font, text, x, y, size, fill) {
+  const d = layout(font, text, size).glyphs.map((g) => g.glyph.getPath(x + g.x, y, size).toPathData(1)).join('');
+  return `<path fill="${fill}" d="${d}"/>`;
+}
+
+/**
+ * The SVG for a card (see shareCard)
+ */
+export function shareImageSvg(card, { fonts, logo }, { host = '' } = {}) {
+  const hasDetails = Boolean(card.subtitle || card.byline);
+  const title = fitText(fonts.display, card.title, {
+    sizes: hasDetails ? [72, 62, 54] : [84, 72, 60],
+    maxWidth: TEXT_WIDTH,
+    maxLines: hasDetails ? 2 : 3
+  });
+
+  // Each line with the distance from the previous baseline to its own
+  const single = (font, text, size) => fitText(font, text, { sizes: [size], maxWidth: TEXT_WIDTH, maxLines: 1 }).lines[0];
+  const lines = [];
+  if (card.eyebrow) {
+    lines.push({ font: fonts.body, text: card.eyebrow.toUpperCase(), size: 26, fill: COLORS.spruce, advance: 26 });
+  }
+  title.lines.forEach((line, i) => {
+    const advance = i > 0 ? title.size * 1.08 : card.eyebrow ? title.size * 0.95 + 20 : title.size * 0.95;
+    lines.push({ font: fonts.display, text: line, size: title.size, fill: COLORS.white, advance });
+  });
+  if (card.subtitle) {
+    lines.push({ font: fonts.displayMedium, text: single(fonts.displayMedium, card.subtitle, 44), size: 44, fill: COLORS.lightGreen, advance: 62 });
+  }
+  if (card.byline) {
+    lines.push({ font: fonts.bodyLight, text: single(fonts.bodyLight, card.byline, 30), size: 30, fill: COLORS.offWhite, advance: card.subtitle ? 48 : 58 });
+  }
+
+  // Centered between the logo and the rule above the address
+  const height = lines.reduce((sum, line) => sum + line.advance, 0);
+  let y = 172 + (340 - height) / 2;
+  const parts = lines.map((line) => {
+    y += line.advance;
+    return textPath(line.font, line.text, MARGIN, Math.round(y), line.size, line.fill);
+  });
+
+  if (host) {
+    parts.push(textPath(fonts.body, host, MARGIN, 576, 24, COLORS.lightBlue));
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">
+<rect width="${WIDTH}" height="${HEIGHT}" fill="${COLORS.navy}"/>
+<rect width="16" height="${HEIGHT}" fill="${COLORS.spruce}"/>
+<image x="${MARGIN}" y="64" width="278" height="72" href="${logo}"/>
+<rect x="${MARGIN}" y="530" width="${TEXT_WIDTH}" height="2" fill="${COLORS.lightBlue}" fill-opacity="0.35"/>
+${parts.join('\n')}
+</svg>`;
+}
+
+/**
+ * The podcast's channel artwork: the brand mark over "Sermons", the
+ * church's name and where it is
+ */
+export function podcastArtworkSvg({ fonts, mark }, { name, place = '' }) {
+  const centered = (font, text, y, size, fill) => {
+    const fitted = fitText(font, text, { sizes: [size], maxWidth: ARTWORK_SIZE - MARGIN * 2, maxLines: 1 }).lines[0];
+    return textPath(font, fitted, Math.round((ARTWORK_SIZE - textWidth(font, fitted, size)) / 2), y, size, fill);
+  };
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${ARTWORK_SIZE}" height="${ARTWORK_SIZE}" viewBox="0 0 ${ARTWORK_SIZE} ${ARTWORK_SIZE}">
+<rect width="${ARTWORK_SIZE}" height="${ARTWORK_SIZE}" fill="${COLORS.navy}"/>
+<rect width="${ARTWORK_SIZE}" height="24" y="${ARTWORK_SIZE - 24}" fill="${COLORS.spruce}"/>
+<image x="450" y="200" width="500" height="500" href="${mark}"/>
+${centered(fonts.display, 'Sermons', 960, 190, COLORS.white)}
+${centered(fonts.body, name.toUpperCase(), 1090, 58, COLORS.spruce)}
+${place ? centered(fonts.bodyLight, place, 1180, 48, COLORS.lightBlue) : ''}
+</svg>`;
+}
+
+/**
+ * Where a page's image goes: /share/leadership.png, /share/sermons/<slug>.png,
+ * /share/index.png for the home page
+ */
+export function shareImagePath(url) {
+  const page = String(url || '/').replace(/(\/index)?\.html$/, '/').replace(/\/+$/, '') || '/index';
+  return `/share${page}.png`;
+}
+
+/**
+ * Share images for one build
+ */
+export function createShareImages({
+  outputDir = '_site',
+  cacheDir = process.env.SHARE_IMAGE_CACHE || DEFAULT_CACHE_DIR,
+  siteUrl = '',
+  concurrency = parseInt(process.env.IMAGE_CONCURRENCY) || os.availableParallelism()
+} = {}) {
+  const images = new Map();
+  const host = siteUrl.replace(/^[a-z]+:\/\//i, '').replace(/\/+$/, '');
+
+  // The URL has a version, so it changes whenever the image does
+  function add(file, svg) {
+    const hash = crypto.createHash('sha256').update(svg).digest('hex').slice(0, 12);
+    images.set(file, { svg, hash });
+    return `${file}?v=${hash}`;
+  }
+
+  return {
+    /**
+     * Add a page's image; resolves to its URL
+     */
+    async register(url, card) {
+      return add(shareImagePath(url), shareImageSvg(card, await loadAssets(), { host }));
+    },
+
+    /**
+     * Add the podcast artwork (see podcastArtworkSvg) at `file`; resolves
+     * to its URL
+     */
+    async registerArtwork(file, text) {
+      return add(file, podcastArtworkSvg(await loadAssets(), text));
+    },
+
+    /**
+     * Write every registered image to the output directory, rendering the
+     * ones not in the cache; resolves to how many were written and how
+     * many of those were rendered
+     */
+    async write() {
+      const run = createLimit(concurrency);
+      await fs.mkdir(cacheDir, { recursive: true });
+
+      // Pages often share an image (every week's "Morning Worship"): render
+      // each one once, before any page's copy is made from it
+      const unique = new Map([...images.values()].map(({ svg, hash }) => [hash, svg]));
+      const results = await Promise.all([...unique].map(([hash, svg]) => run(async () => {
+        const cached = path.join(cacheDir, `${hash}.png`);
+        if (await exists(cached)) return false;
+        // Renamed into place, so the cache never holds a half-written PNG
+        const temp = `${cached}.${process.pid}.tmp`;
+        await sharp(Buffer.from(svg)).png({ compressionLevel: 9 }).toFile(temp);
+        await fs.rename(temp, cached);
+        return true;
+      })));
+
+      await Promise.all([...images].map(([file, { hash }]) => run(async () => {
+        const output = path.join(outputDir, file);
+        await fs.mkdir(path.dirname(output), { recursive: true });
+        await fs.copyFile(path.join(cacheDir, `${hash}.png`), output);
+      })));
+
+      const rendered = results.filter(Boolean).length;
+      return { written: images.size, rendered };
+    }
+  };
+}
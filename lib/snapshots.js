@@ -0,0 +1,149 @@
+/**
+ * Data Snapshots
+ *
+ * Keeps the last good copy of each remote data source (the calendar ICS
+ * feed, the sermon RSS feeds) on disk. When a fetch fails during a build,
+ * the snapshot is used instead, so an Outlook or Substack outage during the
+ * daily rebuild republishes yesterday's data rather than an empty site.
+ * Used by src/_data/calendar.js and src/_data/sermons.js.
+ *
+ * - DATA_SNAPSHOT_DIR: where snapshots live (default .cache/snapshots).
+ *   Keep it out of _site: the calendar snapshot includes private events.
+ * - FAIL_ON_DATA_ERROR=1: fail the build when a source can't be fetched
+ *   and has no snapshot, instead of publishing it empty.
+ *
+ * In offline mode (DATA_FIXTURES, see lib/fixtures.js) sources are read
+ * from recorded fixtures and snapshots are left alone.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fixturesDir, isRecording, readFixture, recordFixture } from './fixtures.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Sources served from a snapshot this build, for the end-of-build summary
+const fallbacks = [];
+
+function snapshotDir() {
+  return path.resolve(process.env.DATA_SNAPSHOT_DIR || '.cache/snapshots');
+}
+
+function snapshotPath(name) {
+  return path.join(snapshotDir(), `${name}.json`);
+}
+
+export function failOnDataError() {
+  return ['1', 'true', 'yes'].includes(String(process.env.FAIL_ON_DATA_ERROR || '').toLowerCase());
+}
+
+/**
+ * "less than an hour", "5 hours", "3 days"
+ */
+export function formatAge(ms) {
+  if (ms < HOUR_MS) return 'less than an hour';
+  const hours = Math.round(ms / HOUR_MS);
+  if (hours < 48) return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+  return `${Math.round(hours / 24)} days`;
+}
+
+function warnLoudly(lines) {
+  const rule = '!'.repeat(72);
+  console.warn(['', rule, ...lines.map((line) => `!! ${line}`), rule, ''].join('\n'));
+}
+
+async function readSnapshot(name) {
+  try {
+    return JSON.parse(await fs.readFile(snapshotPath(name), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function saveSnapshot(name, text, now) {
+  try {
+    await fs.mkdir(snapshotDir(), { recursive: true });
+    await fs.writeFile(snapshotPath(name), JSON.stringify({ name: name, savedAt: now.toISOString(), text: text }));
+  } catch (err) {
+    console.warn(`Could not save the ${name} snapshot:`, err.message);
+  }
+}
+
+/**
+ * Fetch and parse a data source, saving the raw text as its snapshot when
+ * both succeed. If either fails, parse the last snapshot instead and warn.
+ * Throws the original error when there is no snapshot to fall back on.
+ *
+ * @param {string} name - snapshot file name, e.g. "calendar"
+ * @param {Object} options
+ * @param {string} [options.label] - source name for the build log
+ * @param {() => Promise<string>} options.fetch - loads the raw text
+ * @param {(text: string) => any} options.parse - parses it; throw to reject
+ *   a response that isn't usable (an error page, an empty feed)
+ * @param {string} [options.fixture] - fixture file for offline mode
+ * @param {(text: string) => string} [options.redact] - trims a recorded
+ *   fixture down to what may be committed
+ * @param {Date} [options.now]
+ * @returns {Promise<{ data: any, snapshot: null | { savedAt: string, age: string, error: string } }>}
+ */
+export async function loadWithSnapshot(name, { label = name, fetch: fetchText, parse, fixture, redact, now = new Date() }) {
+  if (fixture && fixturesDir()) {
+    console.log(`  (offline: ${label} from fixture ${fixture})`);
+    return { data: await parse(await readFixture(fixture)), snapshot: null };
+  }
+
+  let error;
+  try {
+    const text = await fetchText();
+    const data = await parse(text);
+    await saveSnapshot(name, text, now);
+    if (fixture) await recordFixture(fixture, redact ? redact(text) : text);
+    return { data: data, snapshot: null };
+  } catch (err) {
+    error = err;
+  }
+
+  // A fixture recorded from a snapshot wouldn't be fresh
+  if (isRecording()) throw error;
+
+  const saved = await readSnapshot(name);
+  if (!saved) throw error;
+
+  const data = await parse(saved.text);
+  const snapshot = { savedAt: saved.savedAt, age: formatAge(now - new Date(saved.savedAt)), error: error.message };
+  fallbacks.push({ label, ...snapshot });
+  warnLoudly([
+    `${label}: fetch failed (${error.message})`,
+    `Using the snapshot saved ${saved.savedAt}, ${snapshot.age} old.`
+  ]);
+  return { data: data, snapshot: snapshot };
+}
+
+/**
+ * A source failed with no snapshot to fall back on. Fails the build when
+ * FAIL_ON_DATA_ERROR is set; otherwise warns that it will be published empty.
+ */
+export function noDataFallback(label, err) {
+  if (failOnDataError()) {
+    throw new Error(`${label}: no data (${err.message}) and no snapshot to fall back on. Failing the build because FAIL_ON_DATA_ERROR is set.`);
+  }
+  fallbacks.push({ label, savedAt: null, age: null, error: err.message });
+  warnLoudly([
+    `${label}: no data (${err.message}) and no snapshot to fall back on.`,
+    'Publishing it EMPTY. Set FAIL_ON_DATA_ERROR=1 to fail the build instead.'
+  ]);
+}
+
+/**
+ * Repeat the fallbacks at the end of the build, where they won't scroll by
+ */
+export function reportFallbacks() {
+  if (fallbacks.length === 0) return;
+  warnLoudly([
+    'Some data sources could not be fetched in this build:',
+    ...fallbacks.map((f) => f.savedAt
+      ? `- ${f.label}: using a snapshot ${f.age} old (${f.error})`
+      : `- ${f.label}: EMPTY (${f.error})`)
+  ]);
+  fallbacks.length = 0;
+}
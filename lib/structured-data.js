@@ -0,0 +1,284 @@
+/**
+ * Structured Data
+ *
+ * schema.org JSON-LD for search engines: the church (with its Sunday
+ * services) on every page, plus the event on each event page and the
+ * podcast episode on each sermon page. The layout writes it with the
+ * structuredData shortcode.
+ *
+ * validateStructuredData checks the properties each type needs before
+ * Google will show it (service times, event dates, sermon audio), so a
+ * missing address or an unreadable service time fails the build instead of
+ * quietly dropping out of search results.
+ */
+
+import { TIME_ZONE, addDays, dateKey, zonedTime } from './calendar.js';
+
+export const SCHEMA_CONTEXT = 'https://schema.org';
+
+const PODCAST_NAME = 'Spencer Mills OPC Sermons';
+
+// Properties each type must have
+const REQUIRED = {
+  Church: ['name', 'url', 'address', 'telephone'],
+  PostalAddress: ['streetAddress', 'addressLocality', 'addressRegion', 'postalCode'],
+  Event: ['name', 'startDate', 'location'],
+  Schedule: ['repeatFrequency', 'byDay', 'startTime', 'scheduleTimezone'],
+  Place: ['name', 'address'],
+  PodcastEpisode: ['name', 'url', 'datePublished', 'associatedMedia', 'partOfSeries'],
+  PodcastSeries: ['name', 'url'],
+  AudioObject: ['contentUrl', 'encodingFormat'],
+  Person: ['name']
+};
+
+const DATE_PROPERTIES = ['startDate', 'endDate', 'datePublished'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+function churchId(site) {
+  return `${site.url}/#church`;
+}
+
+/**
+ * "616.754.7832" as "+1-616-754-7832"
+ */
+export function formatTelephone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+  return digits.length === 10 ? `+1-${digits.slice(0, 3)}-${digits.slice(3, 6)}-${digits.slice(6)}` : null;
+}
+
+/**
+ * "9:30am" as "09:30:00"; null if it isn't a time
+ */
+export function parseServiceTime(text) {
+  const match = String(text || '').trim().match(/^(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\.?$/i);
+  if (!match) return null;
+  const hour = (Number(match[1]) % 12) + (match[3].toLowerCase() === 'p' ? 12 : 0);
+  const minute = Number(match[2] || 0);
+  if (Number(match[1]) > 12 || minute > 59) return null;
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}:00`;
+}
+
+/**
+ * Seconds as an ISO 8601 duration, e.g. 2712 is "PT45M12S"
+ */
+export function isoDuration(seconds) {
+  if (!(seconds > 0)) return null;
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.round(seconds % 60);
+  return `PT${h ? `${h}H` : ''}${m ? `${m}M` : ''}${s || (!h && !m) ? `${s}S` : ''}`;
+}
+
+function postalAddress(address) {
+  return {
+    '@type': 'PostalAddress',
+    streetAddress: address.street,
+    addressLocality: address.city,
+    addressRegion: address.state,
+    postalCode: address.zip,
+    addressCountry: 'US'
+  };
+}
+
+/**
+ * The first Sunday service at `time` ("09:30:00", church time) still to
+ * come after `now`, as a UTC timestamp; null without a time
+ */
+export function nextServiceStart(time, now = new Date()) {
+  if (!time) return null;
+  const [hour, minute] = time.split(':').map(Number);
+  const today = dateKey(now);
+  const sunday = addDays(today, (7 - new Date(`${today}T12:00:00Z`).getUTCDay()) % 7);
+  const on = (key) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return zonedTime({ year, month, day, hour, minute }, TIME_ZONE);
+  };
+  const start = on(sunday) > now ? on(sunday) : on(addDays(sunday, 7));
+  return start.toISOString();
+}
+
+/**
+ * The church, from site.js: address, phone and the weekly services in
+ * site.services ({ morning: "9:30am", ... }, each held every Sunday).
+ * Each service gives its next Sunday as startDate alongside the weekly
+ * schedule; the daily rebuild keeps that date ahead.
+ */
+export function churchSchema(site, { now = new Date() } = {}) {
+  return {
+    '@type': 'Church',
+    '@id': churchId(site),
+    name: site.title,
+    url: `${site.url}/`,
+    description: site.description,
+    telephone: formatTelephone(site.phone),
+    address: postalAddress(site.address),
+    sameAs: Object.values(site.social || {}).filter(Boolean),
+    event: Object.entries(site.services || {}).map(([name, time]) => {
+      const startTime = parseServiceTime(time);
+      return {
+        '@type': 'Event',
+        name: `${name.charAt(0).toUpperCase()}${name.slice(1)} Worship`,
+        startDate: nextServiceStart(startTime, now),
+        eventSchedule: {
+          '@type': 'Schedule',
+          repeatFrequency: 'P1W',
+          byDay: 'https://schema.org/Sunday',
+          startTime: startTime,
+          scheduleTimezone: TIME_ZONE
+        },
+        eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+        location: { '@id': churchId(site) }
+      };
+    })
+  };
+}
+
+/**
+ * One calendar occurrence (from src/_data/calendar.js). Events without a
+ * location, or held in a room of the church ("Fellowship Hall"), are at
+ * the church's address; a location with a street number is its own.
+ */
+export function eventSchema(event, site) {
+  const start = new Date(event.start);
+  const end = new Date(event.end);
+
+  let location = { '@type': 'Place', name: site.title, address: postalAddress(site.address) };
+  if (event.location) {
+    location = /\d/.test(event.location)
+      ? { '@type': 'Place', name: event.location, address: event.location }
+      : { ...location, name: `${event.location}, ${site.title}` };
+  }
+
+  return {
+    '@type': 'Event',
+    name: event.title,
+    url: `${site.url}${event.url}`,
+    description: event.description || undefined,
+    startDate: event.isAllDay ? event.dateKey : start.toISOString(),
+    endDate: event.isAllDay ? event.lastDateKey : end > start ? end.toISOString() : undefined,
+    eventStatus: 'https://schema.org/EventScheduled',
+    eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+    location: location,
+    organizer: { '@id': churchId(site) }
+  };
+}
+
+/**
+ * A sermon (from src/_data/sermons.js) as an episode of the sermon
+ * podcast. Like the feed, only sermons with audio are episodes: null
+ * for the rest.
+ */
+export function sermonSchema(sermon, site) {
+  if (!sermon.audioUrl) return null;
+
+  return {
+    '@type': 'PodcastEpisode',
+    name: sermon.title,
+    url: `${site.url}${sermon.url}`,
+    datePublished: sermon.isoDate,
+    description: sermon.summary || sermon.scriptureNormalized || undefined,
+    author: { '@type': 'Person', name: sermon.speaker },
+    publisher: { '@id': churchId(site) },
+    timeRequired: isoDuration(sermon.durationSeconds) || undefined,
+    associatedMedia: {
+      '@type': 'AudioObject',
+      contentUrl: sermon.audioUrl,
+      encodingFormat: sermon.audioType,
+      duration: isoDuration(sermon.durationSeconds) || undefined
+    },
+    partOfSeries: {
+      '@type': 'PodcastSeries',
+      name: PODCAST_NAME,
+      url: `${site.url}/sermons/`,
+      webFeed: `${site.url}/sermons/feed.xml`
+    }
+  };
+}
+
+/**
+ * Everything for one page: the church, and the event or sermon if the
+ * page is one
+ */
+export function pageSchema(site, { event, sermon, now } = {}) {
+  const graph = [churchSchema(site, { now })];
+  if (event) graph.push(eventSchema(event, site));
+  if (sermon) graph.push(sermonSchema(sermon, site));
+  return { '@context': SCHEMA_CONTEXT, '@graph': graph.filter(Boolean) };
+}
+
+/**
+ * A <script> tag for the data; "<" is escaped so no value can end it early
+ */
+export function jsonLdScript(data) {
+  return `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function checkNode(node, where, problems) {
+  if (Array.isArray(node)) {
+    node.forEach((item, i) => checkNode(item, `${where}[${i}]`, problems));
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+
+  // A reference to a node described elsewhere on the page
+  const keys = Object.keys(node);
+  if (keys.length === 1 && keys[0] === '@id') return;
+
+  const type = node['@type'];
+  const label = type ? `${where} (${type})` : where;
+  for (const property of REQUIRED[type] || []) {
+    if (isEmpty(node[property])) problems.push(`${label}: missing ${property}`);
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    if (DATE_PROPERTIES.includes(key) && !isEmpty(value) && !ISO_DATE.test(value)) {
+      problems.push(`${label}: ${key} "${value}" is not an ISO 8601 date`);
+    }
+    if (!key.startsWith('@')) checkNode(value, `${where}.${key}`, problems);
+  }
+}
+
+/**
+ * Problems with a JSON-LD document, as messages like
+ * "@graph[1] (Event): missing startDate"; empty if none
+ */
+export function validateStructuredData(data) {
+  const problems = [];
+  if (data['@context'] !== SCHEMA_CONTEXT) {
+    problems.push(`@context should be "${SCHEMA_CONTEXT}"`);
+  }
+  if (data['@graph']) {
+    checkNode(data['@graph'], '@graph', problems);
+  } else {
+    checkNode(data, '$', problems);
+  }
+  return problems;
+}
+
+/**
+ * Check every JSON-LD block in a page's HTML, and that the page has the
+ * church in one of them
+ */
+export function validatePageHtml(html) {
+  const problems = [];
+  let hasChurch = false;
+
+  for (const [, json] of html.matchAll(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/g)) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (err) {
+      problems.push(`invalid JSON: ${err.message}`);
+      continue;
+    }
+    problems.push(...validateStructuredData(data));
+    hasChurch ||= [].concat(data['@graph'] || data).some((node) => node && node['@type'] === 'Church');
+  }
+
+  if (!hasChurch) problems.push('no Church structured data');
+  return problems;
+}
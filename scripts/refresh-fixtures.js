@@ -0,0 +1,34 @@
+/**
+ * Refresh Data Fixtures
+ *
+ * Records the live calendar and sermon feeds into test/fixtures/feeds/ (or
+ * the folder given as an argument) for offline builds with DATA_FIXTURES=1.
+ * Runs the site's own data files, so the same sources and URLs are used as
+ * in a real build; CALENDAR_ICS_URL must be set.
+ *
+ * The calendar fixture keeps only the events the site would show, since
+ * fixtures are committed. Fails if any feed can't be fetched, rather than
+ * recording an old snapshot.
+ *
+ * Usage: npm run fixtures:refresh [-- <folder>]
+ */
+
+import { startRecording, DEFAULT_FIXTURES_DIR } from '../lib/fixtures.js';
+
+// Live feeds only: no fixtures in, no empty data out
+delete process.env.DATA_FIXTURES;
+process.env.FAIL_ON_DATA_ERROR = '1';
+process.env.CI = '1';
+
+startRecording(process.argv[2] || DEFAULT_FIXTURES_DIR);
+
+try {
+  const { default: calendar } = await import('../src/_data/calendar.js');
+  const { default: sermons } = await import('../src/_data/sermons.js');
+  await calendar();
+  await sermons();
+  console.log('\nFixtures refreshed. Review the diff before committing.');
+} catch (err) {
+  console.error(`\nCould not refresh fixtures: ${err.message}`);
+  process.exit(1);
+}
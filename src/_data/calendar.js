@@ -1,90 +1,251 @@
+/**
+ * Calendar Data
+ *
+ * Reads the church's Office 365 calendar (ICS feed) and expands it into
+ * event occurrences for this month plus the next MONTHS_AHEAD months.
+ *
+ * - events: every occurrence in that window, each with its own page at
+ *   /events/<date>-<slug>/, a download at /events/<date>-<slug>.ics and
+ *   Google/Outlook "add to calendar" links; re-published as
+ *   /events/calendar.ics
+ * - months: month grids (weeks of days) for /events/
+ * - upcoming: the next few events for the homepage widget
+ * - categories: the event types in use, for the legend on /events/
+ *
+ * Each event gets a type (Worship, Study, ...) with a color and icon from
+ * eventCategories.yaml. Events of private types, and events marked Private
+ * in Outlook, are left out altogether.
+ *
+ * All dates are shown in the church's time zone (America/Detroit),
+ * whatever time zone the build runs in.
+ *
+ * The feed's address is private (anyone with it sees every event, private
+ * ones included), so it comes from the CALENDAR_ICS_URL environment
+ * variable rather than this repository.
+ *
+ * The last good copy of the feed is kept as a snapshot (lib/snapshots.js)
+ * and used if the feed can't be fetched. With DATA_FIXTURES set, a recorded
+ * copy is read instead (lib/fixtures.js).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import ical from 'node-ical';
-import rrule from 'rrule';
-const { RRule } = rrule;
+import yaml from 'js-yaml';
+import { DAY_MS, addDays, dateKey, expandEvents, isPublicEvent, utcDateKey } from '../../lib/calendar.js';
+import { categorize, displayCategory, loadCategories } from '../../lib/categories.js';
+import { filterICS, googleCalendarUrl, outlookCalendarUrl } from '../../lib/ics.js';
+import { loadWithSnapshot, noDataFallback } from '../../lib/snapshots.js';
+import site from './site.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const CALENDAR_ICS_URL = process.env.CALENDAR_ICS_URL;
+
+const CATEGORIES_FILE = path.join(__dirname, 'eventCategories.yaml');
+
+// Months listed on /events/ after the current one
+const MONTHS_AHEAD = 3;
+
+// Homepage widget: at most UPCOMING_LIMIT events in the next UPCOMING_DAYS
+const UPCOMING_DAYS = 21;
+const UPCOMING_LIMIT = 4;
+
+/**
+ * URL slug for event titles - same rules as the slugify filter in .eleventy.js
+ */
+function slugify(str) {
+  if (!str) return '';
+  return str.toString().toLowerCase().trim()
+    .replace(/\s+/g, '-')
+    .replace(/[^\w\-]+/g, '')
+    .replace(/\-\-+/g, '-');
+}
+
+async function fetchCalendar() {
+  if (!CALENDAR_ICS_URL) throw new Error('CALENDAR_ICS_URL is not set');
+  const response = await fetch(CALENDAR_ICS_URL);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.text();
+}
+
+/**
+ * Parse the feed, rejecting anything that isn't a calendar with events
+ * (an Outlook error page, an empty export) so it never replaces a snapshot
+ */
+async function parseCalendar(text) {
+  const data = await ical.async.parseICS(text);
+  if (!Object.values(data).some((c) => c.type === 'VEVENT')) throw new Error('the feed has no events');
+  return data;
+}
+
+/**
+ * The feed as it may be committed as a fixture (lib/fixtures.js): only the
+ * events the site would show
+ */
+function publicFeed(text, config) {
+  return filterICS(text, (event) => isPublicEvent(event) &&
+    !categorize({ title: event.summary || '', categories: [].concat(event.categories || []) }, config).type.private);
+}
+
+/**
+ * Give each occurrence its type and drop the ones that aren't for the
+ * public: private types and events marked Private in Outlook
+ */
+function applyCategories(eventList, config) {
+  const shown = [];
+  for (const event of eventList) {
+    const { type, title } = categorize(event, config);
+    if (type.private || !event.isPublic) continue;
+    event.title = title;
+    event.category = displayCategory(type);
+    shown.push(event);
+  }
+  return shown;
+}
+
+/**
+ * Give each occurrence a unique page slug (<date>-<title>) and its
+ * download and "add to calendar" links
+ */
+function assignUrls(eventList) {
+  const used = new Set();
+  for (const event of eventList) {
+    const base = `${event.dateKey}-${slugify(event.title) || 'event'}`;
+    let slug = base;
+    for (let n = 2; used.has(slug); n++) slug = `${base}-${n}`;
+    used.add(slug);
+    event.slug = slug;
+    event.url = `/events/${slug}/`;
+    event.icsUrl = `/events/${slug}.ics`;
+    event.googleUrl = googleCalendarUrl(event, site.url);
+    event.outlookUrl = outlookCalendarUrl(event, site.url);
+  }
+}
+
+/**
+ * Month grids for the calendar view: weeks run Sunday to Saturday and
+ * include the neighbouring months' days to fill out the first and last week.
+ */
+function buildMonths(eventList, year, month, count, todayKey) {
+  // Events that run over several days appear on each of them
+  const byDay = new Map();
+  for (const event of eventList) {
+    for (let key = event.dateKey; key <= event.lastDateKey; key = addDays(key, 1)) {
+      if (!byDay.has(key)) byDay.set(key, []);
+      byDay.get(key).push(event);
+    }
+  }
+
+  const months = [];
+  for (let i = 0; i < count; i++) {
+    const first = new Date(Date.UTC(year, month + i, 1));
+    const last = new Date(Date.UTC(year, month + i + 1, 0));
+    const gridStart = new Date(first.getTime() - first.getUTCDay() * DAY_MS);
+    const gridEnd = new Date(last.getTime() + (6 - last.getUTCDay()) * DAY_MS);
+
+    const weeks = [];
+    for (let day = gridStart; day <= gridEnd; day = new Date(day.getTime() + DAY_MS)) {
+      if (day.getUTCDay() === 0) weeks.push([]);
+      const key = utcDateKey(day);
+      weeks[weeks.length - 1].push({
+        date: key,
+        day: day.getUTCDate(),
+        inMonth: day.getUTCMonth() === first.getUTCMonth(),
+        isToday: key === todayKey,
+        isPast: key < todayKey,
+        events: byDay.get(key) || []
+      });
+    }
+
+    const key = utcDateKey(first).slice(0, 7);
+    months.push({
+      key: key,
+      name: first.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+      isCurrent: i === 0,
+      eventCount: eventList.filter((e) => e.dateKey.startsWith(key)).length,
+      weeks: weeks
+    });
+  }
+  return months;
+}
 
 export default async function() {
-  const CALENDAR_ICS_URL = 'https://outlook.office365.com/owa/calendar/538c36847685491abca604bee38d38cd@smopc.org/4c45c9f7638a4d698f37daa720157be74879970629639563496/calendar.ics';
+  const now = new Date();
+  const todayKey = dateKey(now);
+  const [year, month] = todayKey.split('-').map(Number);
+
+  // Window: first day of this month through the last day MONTHS_AHEAD months on
+  const firstKey = utcDateKey(new Date(Date.UTC(year, month - 1, 1)));
+  const lastKey = utcDateKey(new Date(Date.UTC(year, month + MONTHS_AHEAD, 0)));
+
+  // A broken categories file should stop the build rather than publish
+  // events that were meant to be private
+  const categoryConfig = loadCategories(yaml.load(await fs.readFile(CATEGORIES_FILE, 'utf8')));
+
+  const empty = {
+    events: [],
+    upcoming: [],
+    categories: [],
+    months: buildMonths([], year, month - 1, MONTHS_AHEAD + 1, todayKey),
+    meta: { today: todayKey, from: firstKey, to: lastKey, total: 0 }
+  };
+
+  // Cloudflare Pages sets CF_PAGES: there a missing address is a setup
+  // mistake, not an outage, so fail rather than publish no events
+  if (!CALENDAR_ICS_URL && process.env.CF_PAGES) {
+    throw new Error('CALENDAR_ICS_URL is not set. Add it to the Cloudflare Pages project (Settings > Variables and Secrets) for Production and Preview.');
+  }
 
   try {
     console.log('Fetching calendar events from ICS feed...');
-    const events = await ical.async.fromURL(CALENDAR_ICS_URL);
-
-    // Calculate date range (next 21 days)
-    const now = new Date();
-    const lookaheadEnd = new Date(now.getTime() + (21 * 24 * 60 * 60 * 1000));
-
-    const eventList = [];
-
-    for (const event of Object.values(events)) {
-      if (event.type !== 'VEVENT') continue;
-
-      // Handle recurring events
-      if (event.rrule) {
-        try {
-          const rrule = event.rrule;
-          const dates = rrule.between(now, lookaheadEnd, true);
-
-          // Add each occurrence within the date range
-          for (const date of dates) {
-            // Calculate the duration of the original event
-            const duration = event.end ? event.end.getTime() - event.start.getTime() : 0;
-            const endDate = new Date(date.getTime() + duration);
-
-            const isAllDay = event.datetype === 'date';
-            eventList.push({
-              title: event.summary || 'Untitled Event',
-              start: date,
-              end: endDate,
-              location: event.location || null,
-              description: event.description || null,
-              isAllDay: isAllDay,
-              // Pre-format the date/time for display
-              formattedDateTime: isAllDay
-                ? date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'America/Detroit' })
-                : date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: 'America/Detroit' })
-            });
-          }
-        } catch (err) {
-          console.warn(`Error processing recurring event: ${event.summary}`, err.message);
-        }
-      } else {
-        // Single event
-        const eventDate = event.start;
-        if (!eventDate) continue;
-        if (eventDate < now || eventDate > lookaheadEnd) continue;
-
-        const isAllDay = event.datetype === 'date';
-        eventList.push({
-          title: event.summary || 'Untitled Event',
-          start: event.start,
-          end: event.end,
-          location: event.location || null,
-          description: event.description || null,
-          isAllDay: isAllDay,
-          // Pre-format the date/time for display
-          formattedDateTime: isAllDay
-            ? event.start.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'America/Detroit' })
-            : event.start.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: 'America/Detroit' })
-        });
-      }
-    }
+    const { data: events, snapshot } = await loadWithSnapshot('calendar', {
+      label: 'Calendar',
+      fetch: fetchCalendar,
+      parse: parseCalendar,
+      fixture: 'calendar.ics',
+      redact: (text) => publicFeed(text, categoryConfig),
+      now: now
+    });
+
+    // Pad the window by a day either side so time zone offsets can't drop
+    // an occurrence, then keep the ones on the window's calendar days
+    const from = new Date(Date.UTC(year, month - 1, 1) - DAY_MS);
+    const to = new Date(Date.UTC(year, month + MONTHS_AHEAD, 1) + DAY_MS);
+    const eventList = applyCategories(
+      expandEvents(events, from, to).filter((e) => e.dateKey >= firstKey && e.dateKey <= lastKey),
+      categoryConfig
+    );
+    assignUrls(eventList);
 
-    // Sort by start date and limit to next 4 events
-    const sortedEvents = eventList
-      .sort((a, b) => a.start - b.start)
-      .slice(0, 4);
+    // Homepage widget: next few events in the coming weeks (today's
+    // all-day events count even though midnight has passed)
+    const lookaheadEnd = new Date(now.getTime() + (UPCOMING_DAYS * DAY_MS));
+    const upcoming = eventList
+      .filter((e) => (e.start >= now || (e.isAllDay && e.dateKey === todayKey)) && e.start <= lookaheadEnd)
+      .slice(0, UPCOMING_LIMIT);
 
-    console.log(`✓ Loaded ${sortedEvents.length} upcoming events`);
+    console.log(`✓ Loaded ${eventList.length} events (${upcoming.length} upcoming)`);
 
     // Debug output
-    sortedEvents.forEach(e => {
+    upcoming.forEach(e => {
       console.log(`  - ${e.title}: ${e.start.toISOString()} (all-day: ${e.isAllDay})`);
     });
 
-    return sortedEvents;
+    return {
+      events: eventList,
+      upcoming: upcoming,
+      categories: categoryConfig.types
+        .filter((type) => eventList.some((e) => e.category.slug === type.slug))
+        .map(displayCategory),
+      months: buildMonths(eventList, year, month - 1, MONTHS_AHEAD + 1, todayKey),
+      meta: { ...empty.meta, total: eventList.length, ...(snapshot && { snapshot: snapshot }) }
+    };
 
   } catch (error) {
     console.error('Error fetching calendar:', error.message);
-    return [];
+    noDataFallback('Calendar', error);
+    return { ...empty, meta: { ...empty.meta, error: error.message } };
   }
 };
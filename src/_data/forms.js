@@ -0,0 +1,125 @@
+/**
+ * Site Forms
+ *
+ * Every form on the site, keyed by the id it posts to (/api/forms/<id>).
+ * Pages render one with the form shortcode, e.g. {% form "contact" %} or
+ * {% form "visitor", "dark" %} on a navy section, and the form handler
+ * (lib/forms.js) checks submissions against the same fields, so a new form
+ * only needs an entry here and a page that shows it.
+ *
+ * Form settings:
+ *   title        Name used in logs and stored submissions
+ *   destination  Who receives it: emailed to FORM_EMAIL_TO_<DESTINATION>,
+ *                or FORM_EMAIL_TO when that isn't set (see functions/).
+ *                { field, values } picks it by that field's value, and
+ *                then FORM_EMAIL_TO_<DESTINATION> must be set
+ *   subject      Email subject; {field} is replaced with that field's value
+ *                (an option's label, for radio buttons)
+ *   submit       Button text
+ *   success      Shown once it has been sent
+ *   store        false to only ever email it, never keep a copy
+ *   rateLimit    { max, minutes }: sends allowed per visitor in that time
+ *
+ * Field settings:
+ *   name         Name the value is sent under
+ *   label        Shown above the field and in error messages and emails
+ *   type         text, email, tel, textarea, checkbox (one box, or a group
+ *                when it has options) or radio
+ *   required     Must be filled in (or, for a group, at least one checked)
+ *   options      Choices for checkbox groups and radio buttons
+ *   maxLength    Longest value accepted (default 254, or 5000 for textarea)
+ *   placeholder, autocomplete, rows, hint (help text under the label)
+ *   half         Half width beside the next field on larger screens
+ *   default      Option checked to begin with (radio)
+ *   onlyIf       { otherField: value or [values] }: only shown, checked
+ *                and sent while the other field has that value
+ */
+
+export default {
+  contact: {
+    title: "Contact form",
+    destination: "office",
+    subject: "Contact: {subject}",
+    submit: "Send Message",
+    success: "Thanks for getting in touch! We'll get back to you soon.",
+    fields: [
+      { name: "name", label: "Name", required: true, maxLength: 200, placeholder: "Your full name", autocomplete: "name" },
+      { name: "email", label: "Email", type: "email", required: true, placeholder: "your@email.com", autocomplete: "email" },
+      { name: "subject", label: "Subject", required: true, maxLength: 200, placeholder: "How can we help?" },
+      { name: "message", label: "Message", type: "textarea", rows: 5, placeholder: "Tell us more..." }
+    ]
+  },
+
+  visitor: {
+    title: "Visitor card",
+    destination: "office",
+    subject: "Visitor card: {name}",
+    submit: "Submit",
+    success: "Thank you for worshiping with us! Someone from the church will be in touch.",
+    fields: [
+      { name: "name", label: "Name", required: true, maxLength: 200, placeholder: "Your full name", autocomplete: "name" },
+      { name: "email", label: "Email", type: "email", required: true, placeholder: "your@email.com", autocomplete: "email", half: true },
+      { name: "phone", label: "Phone", type: "tel", placeholder: "Your phone number", autocomplete: "tel", half: true },
+      {
+        name: "interests",
+        label: "I am interested in",
+        type: "checkbox",
+        options: [
+          "Learning more about Spencer Mills OPC",
+          "Becoming a Christian",
+          "A pastoral visit",
+          "Prayer request"
+        ]
+      },
+      { name: "message", label: "Additional Information", type: "textarea", rows: 6, placeholder: "Any additional comments or prayer requests..." }
+    ]
+  },
+
+  prayer: {
+    title: "Prayer request",
+    destination: {
+      field: "share",
+      values: { elders: "elders", congregation: "prayer-chain" }
+    },
+    subject: "Prayer request ({share})",
+    submit: "Send Prayer Request",
+    success: "Thank you for sharing your request. We will be praying for you.",
+    // Kept only in the recipients' inboxes
+    store: false,
+    rateLimit: { max: 3, minutes: 60 },
+    fields: [
+      { name: "request", label: "Prayer Request", type: "textarea", required: true, rows: 6, maxLength: 3000, placeholder: "How can we pray for you?" },
+      {
+        name: "share",
+        label: "Who may read it",
+        type: "radio",
+        required: true,
+        default: "elders",
+        options: [
+          { value: "elders", label: "The elders only" },
+          { value: "congregation", label: "Share with the congregation" }
+        ]
+      },
+      {
+        name: "identity",
+        label: "Your name",
+        type: "radio",
+        required: true,
+        default: "named",
+        options: [
+          { value: "named", label: "Include my name" },
+          { value: "anonymous", label: "Send it anonymously" }
+        ]
+      },
+      { name: "name", label: "Name", required: true, maxLength: 200, placeholder: "Your full name", autocomplete: "name", half: true, onlyIf: { identity: "named" } },
+      { name: "email", label: "Email", type: "email", placeholder: "If you'd like a reply", autocomplete: "email", half: true, onlyIf: { identity: "named" } },
+      {
+        name: "consent",
+        label: "I understand who will read my request",
+        type: "checkbox",
+        required: true,
+        hint: "Requests for the elders only are read by the pastor and elders and kept in confidence. Requests shared with the congregation are passed on through the church's prayer chain, with your name if you include it. Nothing is published on this website, and prayer requests are emailed, never stored on it."
+      }
+    ]
+  }
+};
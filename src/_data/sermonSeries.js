@@ -0,0 +1,26 @@
+/**
+ * Sermon Series
+ *
+ * Optional overrides for grouping sermons into series. The feed's own
+ * series field (itunes:subtitle or podcast:season) is used when present,
+ * but Substack usually leaves it empty, so series can be assigned here.
+ *
+ * Rules are checked in order: GUIDs first, then title patterns, then the feed.
+ */
+
+export default {
+  // Assign individual sermons by feed GUID (shown on each episode in the RSS feed)
+  // e.g. "substack:post:149876543": "The Gospel of John"
+  guids: {},
+
+  // Assign sermons whose title matches a pattern (case-insensitive; first match wins)
+  // e.g. { match: "^Romans", series: "Romans" }
+  patterns: [],
+
+  // Optional details shown on each series page, keyed by series name
+  // e.g. "Romans": { description: "Morning sermons working through Paul's letter to the Romans." }
+  // `season` makes the series a season in the podcast feed. Podcast apps keep these
+  // numbers, so give each series the next unused one and never change it afterwards:
+  // e.g. "Romans": { season: 3 }
+  details: {}
+};
@@ -1,243 +1,483 @@
 /**
  * Sermons Data
  *
- * Fetches sermon data from the Substack podcast RSS feed at build time.
- * The feed is cached for 1 day to avoid excessive requests.
+ * Merges sermons from every source in SERMON_SOURCES into one archive:
+ * podcast RSS feeds (Substack, SermonAudio) and an optional local list
+ * (sermonArchive.json or sermonArchive.yaml in this folder) for sermons
+ * that were never in a feed. Feeds are cached for 1 day to avoid
+ * excessive requests, and the last good copy of each is kept as a snapshot
+ * (lib/snapshots.js) for builds where a feed can't be fetched. With
+ * DATA_FIXTURES set, recorded copies are read instead (lib/fixtures.js).
  *
  * Substack feed format differs from SermonAudio:
  * - Duration is in seconds (not H:MM:SS)
  * - Speaker/author is in dc:creator (not itunes:author per-item)
- * - Scripture references are embedded in description HTML
+ * - Scripture references are embedded in description HTML, and are parsed
+ *   into OSIS passages with bible-passage-reference-parser (lib/sermons.js)
  */
 
 import EleventyFetch from "@11ty/eleventy-fetch";
 import Parser from "rss-parser";
-
-// Spencer Mills OPC Substack podcast feed
-const SERMON_FEED_URL = "https://api.substack.com/feed/podcast/8351868.rss";
+import yaml from "js-yaml";
+import fs from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import { createHash } from "crypto";
+import { fileURLToPath } from "url";
+import {
+  BIBLE_BOOKS,
+  BOOKS_BY_OSIS,
+  VERSE_COUNTS,
+  datedRecords,
+  findScripture,
+  formatDuration,
+  formatPassages,
+  linkHost,
+  parseDurationToSeconds,
+  seasonNumber,
+  stripHtml,
+} from "../../lib/sermons.js";
+import { loadWithSnapshot, noDataFallback } from "../../lib/snapshots.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Sermon sources, in priority order. When the same sermon turns up in more
+// than one source, the first copy wins and later copies only fill gaps.
+const SERMON_SOURCES = [
+  // Spencer Mills OPC Substack podcast feed
+  { type: "rss", label: "Substack", url: "https://api.substack.com/feed/podcast/8351868.rss" },
+  // Sermons from before the Substack move - add the broadcaster's RSS feed URL to enable
+  // { type: "rss", label: "SermonAudio", url: "https://feed.sermonaudio.com/broadcasters/<id>" },
+  { type: "local", label: "Archive", files: ["sermonArchive.json", "sermonArchive.yaml", "sermonArchive.yml"] },
+];
 
 // Cache duration - always fetch fresh in CI, cache locally for dev speed
 const CACHE_DURATION = process.env.CI ? "0s" : "1d";
 
+// Description text kept per sermon in the search index (characters)
+const SEARCH_TEXT_LIMIT = 1500;
+
 /**
- * Normalize scripture references with full book names.
- * Handles variations and misspellings in the source data.
+ * URL slug for names and titles - same rules as the slugify filter in .eleventy.js
  */
-function normalizeScripture(text) {
-  if (!text || typeof text !== "string") return "";
-
-  const cleaned = text.trim();
-
-  // Map variations/misspellings to canonical full names
-  const bookNormalization = {
-    genesis: "Genesis",
-    gen: "Genesis",
-    exodus: "Exodus",
-    exod: "Exodus",
-    leviticus: "Leviticus",
-    lev: "Leviticus",
-    numbers: "Numbers",
-    num: "Numbers",
-    deuteronomy: "Deuteronomy",
-    deut: "Deuteronomy",
-    joshua: "Joshua",
-    josh: "Joshua",
-    judges: "Judges",
-    judg: "Judges",
-    ruth: "Ruth",
-    "1 samuel": "1 Samuel",
-    "1 sam": "1 Samuel",
-    "2 samuel": "2 Samuel",
-    "2 sam": "2 Samuel",
-    "1 kings": "1 Kings",
-    "1 kgs": "1 Kings",
-    "2 kings": "2 Kings",
-    "2 kgs": "2 Kings",
-    "1 chronicles": "1 Chronicles",
-    "1 chr": "1 Chronicles",
-    "2 chronicles": "2 Chronicles",
-    "2 chr": "2 Chronicles",
-    ezra: "Ezra",
-    nehemiah: "Nehemiah",
-    neh: "Nehemiah",
-    esther: "Esther",
-    esth: "Esther",
-    job: "Job",
-    psalms: "Psalms",
-    psalm: "Psalms",
-    ps: "Psalms",
-    proverbs: "Proverbs",
-    prov: "Proverbs",
-    ecclesiastes: "Ecclesiastes",
-    eccl: "Ecclesiastes",
-    "song of solomon": "Song of Solomon",
-    "song of songs": "Song of Solomon",
-    song: "Song of Solomon",
-    isaiah: "Isaiah",
-    isa: "Isaiah",
-    jeremiah: "Jeremiah",
-    jer: "Jeremiah",
-    lamentations: "Lamentations",
-    lam: "Lamentations",
-    ezekiel: "Ezekiel",
-    ezek: "Ezekiel",
-    daniel: "Daniel",
-    dan: "Daniel",
-    hosea: "Hosea",
-    hos: "Hosea",
-    joel: "Joel",
-    amos: "Amos",
-    obadiah: "Obadiah",
-    obad: "Obadiah",
-    jonah: "Jonah",
-    micah: "Micah",
-    mic: "Micah",
-    nahum: "Nahum",
-    nah: "Nahum",
-    habakkuk: "Habakkuk",
-    hab: "Habakkuk",
-    zephaniah: "Zephaniah",
-    zeph: "Zephaniah",
-    haggai: "Haggai",
-    hag: "Haggai",
-    zechariah: "Zechariah",
-    zech: "Zechariah",
-    malachi: "Malachi",
-    mal: "Malachi",
-    matthew: "Matthew",
-    matt: "Matthew",
-    mark: "Mark",
-    luke: "Luke",
-    john: "John",
-    acts: "Acts",
-    romans: "Romans",
-    rom: "Romans",
-    "1 corinthians": "1 Corinthians",
-    "1 cor": "1 Corinthians",
-    "2 corinthians": "2 Corinthians",
-    "2 cor": "2 Corinthians",
-    galatians: "Galatians",
-    galations: "Galatians",
-    gal: "Galatians",
-    ephesians: "Ephesians",
-    eph: "Ephesians",
-    philippians: "Philippians",
-    phillipians: "Philippians",
-    phil: "Philippians",
-    colossians: "Colossians",
-    col: "Colossians",
-    "1 thessalonians": "1 Thessalonians",
-    "1 thess": "1 Thessalonians",
-    "2 thessalonians": "2 Thessalonians",
-    "2 thess": "2 Thessalonians",
-    "1 timothy": "1 Timothy",
-    "1 tim": "1 Timothy",
-    "2 timothy": "2 Timothy",
-    "2 tim": "2 Timothy",
-    titus: "Titus",
-    philemon: "Philemon",
-    phlm: "Philemon",
-    hebrews: "Hebrews",
-    heb: "Hebrews",
-    james: "James",
-    jas: "James",
-    "1 peter": "1 Peter",
-    "1 pet": "1 Peter",
-    "2 peter": "2 Peter",
-    "2 pet": "2 Peter",
-    "1 john": "1 John",
-    "2 john": "2 John",
-    "3 john": "3 John",
-    jude: "Jude",
-    revelation: "Revelation",
-    rev: "Revelation",
-  };
+function slugify(str) {
+  if (!str) return "";
+  return str.toString().toLowerCase().trim()
+    .replace(/\s+/g, "-")
+    .replace(/[^\w\-]+/g, "")
+    .replace(/\-\-+/g, "-");
+}
+
+/**
+ * Build a stable URL slug from the feed guid.
+ * Substack guids look like "substack:post:149876543", so the trailing
+ * token is used when it's URL-safe; anything else falls back to a hash.
+ */
+function sermonSlug(guid) {
+  const token = String(guid).split(/[:/?=#&]/).filter(Boolean).pop() || "";
+  if (/^[A-Za-z0-9_-]{4,40}$/.test(token)) {
+    return token.toLowerCase();
+  }
+  return createHash("sha1").update(String(guid)).digest("hex").slice(0, 10);
+}
 
-  // Try to match and normalize the book name
-  const lowerText = cleaned.toLowerCase();
-  for (const [variant, canonical] of Object.entries(bookNormalization)) {
-    if (lowerText.startsWith(variant + " ") || lowerText === variant) {
-      const remainder = cleaned.slice(variant.length).trim();
-      return canonical + (remainder ? " " + remainder : "");
+/**
+ * Group sermons by book and chapter, in canonical order.
+ * A sermon appears under every chapter its passages touch, so
+ * "Romans 8:12-9:5" is listed under both Romans 8 and Romans 9.
+ */
+function buildScriptureIndex(sermons) {
+  const books = new Map();
+
+  for (const sermon of sermons) {
+    for (const passage of sermon.passages) {
+      if (!books.has(passage.bookOsis)) {
+        const book = BOOKS_BY_OSIS.get(passage.bookOsis);
+        books.set(passage.bookOsis, {
+          name: book.name,
+          osis: book.osis,
+          testament: book.testament,
+          order: book.order,
+          slug: slugify(book.name),
+          url: `/sermons/scripture/${slugify(book.name)}/`,
+          chapters: new Map(),
+        });
+      }
+
+      const chapters = books.get(passage.bookOsis).chapters;
+      for (let chapter = passage.startChapter; chapter <= passage.endChapter; chapter++) {
+        if (!chapters.has(chapter)) chapters.set(chapter, []);
+        const entries = chapters.get(chapter);
+        if (!entries.some((entry) => entry.sermon === sermon)) {
+          entries.push({
+            sermon,
+            startVerse: chapter === passage.startChapter ? passage.startVerse : 1,
+          });
+        }
+      }
     }
   }
 
-  // Return original if no match found
-  return cleaned;
+  return [...books.values()]
+    .sort((a, b) => a.order - b.order)
+    .map((book) => {
+      const chapters = [...book.chapters.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([chapter, entries]) => ({
+          chapter,
+          sermons: entries
+            .sort((a, b) => a.startVerse - b.startVerse || new Date(a.sermon.date) - new Date(b.sermon.date))
+            .map((entry) => entry.sermon),
+        }));
+
+      return {
+        ...book,
+        chapters,
+        sermonCount: new Set(chapters.flatMap((c) => c.sermons)).size,
+      };
+    });
 }
 
 /**
- * Extract scripture reference from Substack description HTML.
- * Substack descriptions contain HTML like: <p>Acts 2:42-47 Sermon</p>
- * We extract the scripture reference from the first text content.
+ * Load an optional local data file (sermonSeries.js, speakers.js).
+ * A missing file just means there are no overrides.
  */
-function extractScriptureFromDescription(description) {
-  if (!description) return "";
-
-  // Strip HTML tags to get plain text
-  const plainText = description.replace(/<[^>]*>/g, "").trim();
-  if (!plainText) return "";
+async function loadLocalData(file) {
+  try {
+    const { default: data } = await import(file);
+    return data || {};
+  } catch (err) {
+    if (err.code !== "ERR_MODULE_NOT_FOUND") {
+      console.warn(`Could not load ${file}:`, err.message);
+    }
+    return {};
+  }
+}
 
-  // Match scripture patterns: "Book Chapter:Verse" or "Book Chapter:Verse-Verse"
-  // Handles numbered books (1 John, 2 Kings, etc.)
-  const scripturePattern = /(\d?\s?[A-Za-z]+(?:\s+of\s+[A-Za-z]+)?)\s+(\d+(?::\d+(?:\s*[-–]\s*\d+(?::\d+)?)?)?)/;
-  const match = plainText.match(scripturePattern);
+/**
+ * Reduce a speaker name to a comparison key: no titles, punctuation,
+ * case or repeated spaces. "Rev. Marc  Scaturro" -> "marc scaturro"
+ */
+function speakerKey(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/\b(the\s+)?(ruling elder|rev|reverend|pastor|dr|elder|mr)\b\.?/g, " ")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
 
-  if (match) {
-    return match[0].trim();
+/**
+ * Map a feed speaker name onto the canonical name from speakers.js,
+ * matching on the name itself or any listed alias. Unknown names are
+ * tidied (whitespace collapsed) and returned as-is.
+ */
+function createSpeakerResolver(speakerDetails) {
+  const canonical = new Map();
+  for (const [name, details] of Object.entries(speakerDetails)) {
+    for (const variant of [name, ...(details.aliases || [])]) {
+      canonical.set(speakerKey(variant), name);
+    }
   }
 
+  // First spelling seen wins for speakers without an entry
+  const seen = new Map();
+
+  return (rawName) => {
+    const key = speakerKey(rawName);
+    if (canonical.has(key)) return canonical.get(key);
+    if (!seen.has(key)) {
+      seen.set(key, String(rawName).replace(/\s+/g, " ").trim());
+    }
+    return seen.get(key);
+  };
+}
+
+/**
+ * A speaker's photo from speakers.js, if it's there: a path on the site
+ * that isn't in src/ would show as a broken image
+ */
+function speakerPhoto(name, photo) {
+  if (!photo || !photo.startsWith("/") || photo.startsWith("//")) return photo || "";
+  if (existsSync(path.join(__dirname, "..", photo))) return photo;
+  console.warn(`[Sermons] Photo for ${name} not found (src${photo}); leaving it off`);
   return "";
 }
 
 /**
- * Extract book name for filtering/grouping
+ * Group sermons by speaker (newest first), with details from speakers.js.
+ * Speakers are sorted by number of sermons, so the pastor leads the list.
  */
-function extractBook(scripture) {
-  if (!scripture) return "";
-  // Match book name (including numbered books like "1 Corinthians")
-  const match = scripture.match(/^(\d?\s?[A-Za-z]+(?:\s+of\s+[A-Za-z]+)?)/);
-  return match ? match[1].trim() : "";
+function buildSpeakerIndex(sermons, speakerDetails) {
+  const speakers = new Map();
+
+  for (const sermon of sermons) {
+    if (!speakers.has(sermon.speaker)) {
+      const details = speakerDetails[sermon.speaker] || {};
+      speakers.set(sermon.speaker, {
+        name: sermon.speaker,
+        slug: sermon.speakerSlug,
+        url: sermon.speakerUrl,
+        role: details.role || "",
+        bio: details.bio || "",
+        photo: speakerPhoto(sermon.speaker, details.photo),
+        sermons: [],
+      });
+    }
+    speakers.get(sermon.speaker).sermons.push(sermon);
+  }
+
+  return [...speakers.values()]
+    .map((speaker) => ({ ...speaker, sermonCount: speaker.sermons.length }))
+    .sort((a, b) => b.sermonCount - a.sermonCount || a.name.localeCompare(b.name));
 }
 
 /**
- * Format seconds into MM:SS or H:MM:SS display string
+ * Work out which series a sermon belongs to.
+ * Local overrides win over the feed: GUID, then title pattern, then
+ * podcast:season name, then itunes:subtitle.
  */
-function formatDuration(totalSeconds) {
-  if (!totalSeconds || totalSeconds <= 0) return "";
-  const num = typeof totalSeconds === "string" ? parseInt(totalSeconds, 10) : totalSeconds;
-  if (isNaN(num) || num <= 0) return "";
+function detectSeries(item, guid, overrides) {
+  if (overrides.guids?.[guid]) {
+    return overrides.guids[guid];
+  }
 
-  const hours = Math.floor(num / 3600);
-  const minutes = Math.floor((num % 3600) / 60);
-  const seconds = num % 60;
+  for (const rule of overrides.patterns || []) {
+    const pattern = rule.match instanceof RegExp ? rule.match : new RegExp(rule.match, "i");
+    if (pattern.test(item.title || "")) {
+      return rule.series;
+    }
+  }
+
+  const seasonName = typeof item.season === "object" ? item.season?.$?.name : "";
+  return (seasonName || item.subtitle || "").trim();
+}
 
-  if (hours > 0) {
-    return `${hours}:${String(minutes).padStart(2, "0")}:${String(seconds).padStart(2, "0")}`;
+/**
+ * Group sermons into series, each listed in preaching order (oldest first).
+ * Series themselves are sorted with the most recently preached first.
+ */
+function buildSeriesIndex(sermons, overrides) {
+  const series = new Map();
+
+  for (const sermon of sermons) {
+    if (!sermon.series) continue;
+    if (!series.has(sermon.series)) {
+      series.set(sermon.series, {
+        name: sermon.series,
+        slug: sermon.seriesSlug,
+        url: sermon.seriesUrl,
+        description: overrides.details?.[sermon.series]?.description || "",
+        sermons: [],
+      });
+    }
+    series.get(sermon.series).sermons.push(sermon);
   }
-  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+
+  const entries = [...series.values()];
+  for (const entry of entries) {
+    entry.sermons.sort((a, b) => new Date(a.date) - new Date(b.date));
+  }
+
+  // Series are numbered in the order they started. The podcast feed's
+  // podcast:season is only the season set in sermonSeries.js, which
+  // doesn't change when an older series is added; podcast:episode is the
+  // place in the series
+  entries.sort((a, b) => new Date(a.sermons[0].date) - new Date(b.sermons[0].date));
+
+  return entries
+    .map((entry, index) => {
+      const first = entry.sermons[0];
+      const last = entry.sermons[entry.sermons.length - 1];
+      const season = seasonNumber(entry.name, overrides.details);
+      entry.sermons.forEach((sermon, position) => {
+        sermon.seriesSeason = season;
+        sermon.seriesEpisode = position + 1;
+      });
+      return {
+        ...entry,
+        number: index + 1,
+        season: season,
+        sermonCount: entry.sermons.length,
+        speakers: [...new Set(entry.sermons.map((s) => s.speaker))],
+        firstDate: first.date,
+        firstDateFormatted: first.dateFormatted,
+        lastDate: last.date,
+        lastDateFormatted: last.dateFormatted,
+      };
+    })
+    .sort((a, b) => new Date(b.lastDate) - new Date(a.lastDate));
+}
+
+/**
+ * Compact index for the archive's client-side search, served at
+ * /sermons/search-index.json. One row per sermon in archive order, with
+ * the field names listed once rather than repeated on every row.
+ *
+ * Passages are [book, startChapter, startVerse, endChapter, endVerse],
+ * where book indexes into `books` (canonical order, with verse counts per
+ * chapter) so the browser can parse a reference and test for overlap.
+ */
+function buildSearchIndex(sermons) {
+  return {
+    fields: ["id", "title", "scripture", "speaker", "series", "text", "passages"],
+    books: BIBLE_BOOKS.map((book) => [book.osis, book.name, VERSE_COUNTS[book.osis]]),
+    docs: sermons.map((s) => [
+      s.slug,
+      s.title,
+      s.scriptureNormalized || s.scripture,
+      s.speaker,
+      s.series,
+      s.summary.slice(0, SEARCH_TEXT_LIMIT),
+      s.passages.map((p) => [
+        BOOKS_BY_OSIS.get(p.bookOsis).order - 1,
+        p.startChapter,
+        p.startVerse,
+        p.endChapter,
+        p.endVerse,
+      ]),
+    ]),
+  };
+}
+
+/**
+ * Fetch one podcast RSS feed and flatten its items into source records.
+ * Falls back to the feed's last snapshot if it can't be fetched, or comes
+ * back without any episodes.
+ */
+async function fetchRssSource(source, parser) {
+  const name = `sermons-${slugify(source.label)}`;
+  const { data: feed, snapshot } = await loadWithSnapshot(name, {
+    label: `Sermons (${source.label})`,
+    fixture: `${name}.rss`,
+    fetch: () => EleventyFetch(source.url, { duration: CACHE_DURATION, type: "text" }),
+    parse: async (xml) => {
+      const parsed = await parser.parseString(xml);
+      if (!parsed.items?.length) throw new Error("the feed has no episodes");
+      return parsed;
+    },
+  });
+
+  const records = datedRecords(feed.items.map((item) => ({
+    title: item.title,
+    date: item.pubDate,
+    isoDate: item.isoDate,
+    description: item.content || item.description || "",
+    // Speaker: prefer per-item creator, fall back to itunes:author or channel author
+    speaker: item.creator || item.itunesAuthor || feed.itunes?.author,
+    duration: item.duration,
+    audioUrl: item.enclosure?.url,
+    audioType: item.enclosure?.type,
+    audioLength: item.enclosure?.length,
+    chaptersUrl: item.chapters?.$?.url,
+    subtitle: item.subtitle,
+    season: item.season,
+    link: item.link,
+    linkLabel: source.label,
+    guid: item.guid || item.link,
+    source: source.label,
+  })), source.label);
+
+  return {
+    records,
+    feed: {
+      title: feed.title,
+      image: feed.itunes?.image || feed.image?.url,
+      lastBuildDate: feed.lastBuildDate,
+    },
+    snapshot,
+  };
 }
 
 /**
- * Parse duration - handles both seconds (Substack) and H:MM:SS (SermonAudio)
+ * Read the optional local sermon list (JSON or YAML array of sermons).
+ * Each entry needs a title and date (entries without a readable date are
+ * skipped); audioUrl, speaker, scripture, series, duration, link,
+ * description and guid are optional.
  */
-function parseDurationToSeconds(durationVal) {
-  if (!durationVal) return 0;
-  const str = String(durationVal).trim();
+async function loadLocalSource(source) {
+  for (const file of source.files) {
+    let text;
+    try {
+      text = await fs.readFile(path.join(__dirname, file), "utf8");
+    } catch {
+      continue;
+    }
 
-  // If it's just a number (seconds from Substack)
-  if (/^\d+$/.test(str)) {
-    return parseInt(str, 10);
+    const entries = file.endsWith(".json") ? JSON.parse(text) : yaml.load(text);
+    const records = datedRecords((entries || []).map((entry) => {
+      // Date-only entries ("2018-04-22", which YAML reads as UTC midnight)
+      // are pinned to midday so they stay on the same day in Michigan
+      let date = entry.date instanceof Date ? entry.date.toISOString() : String(entry.date || "");
+      if (/^\d{4}-\d{2}-\d{2}(T00:00:00(\.000)?Z)?$/.test(date)) {
+        date = `${date.slice(0, 10)}T12:00:00Z`;
+      }
+
+      return {
+        title: entry.title,
+        date: date,
+        description: entry.description || "",
+        scripture: entry.scripture,
+        speaker: entry.speaker,
+        duration: entry.duration,
+        audioUrl: entry.audioUrl,
+        link: entry.link,
+        linkLabel: linkHost(entry.link),
+        series: entry.series,
+        guid: entry.guid || `local:${date.slice(0, 10)}-${slugify(entry.title)}`,
+        source: source.label,
+      };
+    }), source.label);
+
+    return { records, feed: null };
   }
 
-  // H:MM:SS or MM:SS format
-  const parts = str.split(":").map(Number);
-  if (parts.length === 3) {
-    return parts[0] * 3600 + parts[1] * 60 + parts[2];
-  } else if (parts.length === 2) {
-    return parts[0] * 60 + parts[1];
+  return { records: [], feed: null };
+}
+
+/**
+ * Keys that identify the same sermon across sources: the audio file,
+ * or the preaching date (church time) plus title.
+ */
+function dedupeKeys(record) {
+  const keys = [];
+  if (record.audioUrl) {
+    keys.push("audio:" + record.audioUrl.replace(/^https?:\/\//i, "").replace(/[?#].*$/, "").toLowerCase());
   }
-  return 0;
+  if (record.date && record.title) {
+    const day = new Date(record.date).toLocaleDateString("en-CA", { timeZone: "America/Detroit" });
+    keys.push(`title:${day}|${slugify(record.title)}`);
+  }
+  return keys;
+}
+
+/**
+ * Merge records from all sources, dropping duplicates. Records are
+ * passed in priority order; a later duplicate only fills empty fields.
+ */
+function mergeSourceRecords(records) {
+  const merged = [];
+  const byKey = new Map();
+
+  for (const record of records) {
+    const keys = dedupeKeys(record);
+    const existing = keys.map((key) => byKey.get(key)).find(Boolean);
+
+    let target = existing;
+    if (existing) {
+      for (const [field, value] of Object.entries(record)) {
+        if (!existing[field] && value) existing[field] = value;
+      }
+    } else {
+      target = { ...record };
+      merged.push(target);
+    }
+
+    // Remember every key, so a third copy matching on either is caught
+    keys.forEach((key) => byKey.set(key, target));
+  }
+
+  return merged;
 }
 
 /**
@@ -260,104 +500,132 @@ export default async function () {
         ["itunes:duration", "duration"],
         ["itunes:author", "itunesAuthor"],
         ["itunes:subtitle", "subtitle"],
+        ["podcast:season", "season"],
         ["itunes:image", "image", { keepArray: false }],
         ["dc:creator", "creator"],
+        ["podcast:chapters", "chapters"],
       ],
     },
   });
 
-  try {
-    // Fetch the RSS feed with caching
-    const feedXml = await EleventyFetch(SERMON_FEED_URL, {
-      duration: CACHE_DURATION,
-      type: "text",
-    });
-
-    // Parse the XML feed
-    const feed = await parser.parseString(feedXml);
-
-    // Process and return sermon items
-    const sermons = feed.items.map((item, index) => {
-      // Extract scripture from description HTML (Substack format)
-      const scriptureRaw = extractScriptureFromDescription(item.contentSnippet || item.content || item.description || "");
-      const normalizedScripture = normalizeScripture(scriptureRaw);
-      const book = extractBook(normalizedScripture);
+  const seriesOverrides = await loadLocalData("./sermonSeries.js");
+  const speakerDetails = await loadLocalData("./speakers.js");
+  const resolveSpeaker = createSpeakerResolver(speakerDetails);
+
+  // Load every source; one failing source shouldn't empty the archive
+  const records = [];
+  const errors = [];
+  const snapshots = [];
+  let primaryFeed = null;
+
+  for (const source of SERMON_SOURCES) {
+    try {
+      const result = source.type === "rss"
+        ? await fetchRssSource(source, parser)
+        : await loadLocalSource(source);
+      records.push(...result.records);
+      primaryFeed = primaryFeed || result.feed;
+      if (result.snapshot) snapshots.push({ source: source.label, ...result.snapshot });
+      console.log(`✓ Loaded ${result.records.length} sermons from ${source.label}`);
+    } catch (err) {
+      console.error(`Error fetching sermons from ${source.label}:`, err.message);
+      errors.push(`${source.label}: ${err.message}`);
+      if (source.type === "rss") noDataFallback(`Sermons (${source.label})`, err);
+    }
+  }
 
-      // Speaker: prefer per-item creator, fall back to itunes:author or channel author
-      const speaker = item.creator || item.itunesAuthor || feed.itunes?.author || "Spencer Mills OPC";
+  // Process and return sermon items
+  const usedSlugs = new Set();
+  const sermons = mergeSourceRecords(records).map((item, index) => {
+    const descriptionText = stripHtml(item.description);
+    const scripture = findScripture(item);
 
-      // Duration: Substack gives seconds, SermonAudio gives H:MM:SS
-      const durationSeconds = parseDurationToSeconds(item.duration);
-      const durationDisplay = formatDuration(durationSeconds);
+    const speaker = resolveSpeaker(item.speaker || "Spencer Mills OPC");
 
-      const dateObj = new Date(item.pubDate);
+    // Duration: Substack gives seconds, SermonAudio gives H:MM:SS
+    const durationSeconds = parseDurationToSeconds(item.duration);
+    const durationDisplay = formatDuration(durationSeconds);
 
-      return {
-        id: index,
-        title: item.title || "Untitled Sermon",
-        speaker: speaker,
-        date: item.pubDate,
-        dateFormatted: formatDate(item.pubDate),
-        isoDate: item.isoDate || dateObj.toISOString(),
-        year: dateObj.getFullYear(),
-        scripture: scriptureRaw,
-        scriptureNormalized: normalizedScripture,
-        book: book,
-        series: item.subtitle || "",
-        duration: durationDisplay,
-        durationSeconds: durationSeconds,
-        audioUrl: item.enclosure?.url || "",
-        link: item.link || "",
-        guid: item.guid || item.link || `sermon-${index}`,
-      };
-    });
+    const dateObj = new Date(item.date);
+    const guid = item.guid || `sermon-${index}`;
+    const series = item.series || detectSeries(item, guid, seriesOverrides);
 
-    // Sort by date (newest first)
-    sermons.sort((a, b) => new Date(b.date) - new Date(a.date));
-
-    // Generate metadata for filtering
-    const speakers = [...new Set(sermons.map((s) => s.speaker))].sort();
-    const books = [...new Set(sermons.map((s) => s.book).filter(Boolean))].sort((a, b) => {
-      // Sort numbered books properly (1 John before 2 John, etc.)
-      const aNum = a.match(/^(\d+)/);
-      const bNum = b.match(/^(\d+)/);
-      const aName = a.replace(/^\d+\s*/, '');
-      const bName = b.replace(/^\d+\s*/, '');
-
-      if (aName === bName && aNum && bNum) {
-        return parseInt(aNum[1]) - parseInt(bNum[1]);
-      }
-      return a.localeCompare(b);
-    });
-    const years = [
-      ...new Set(sermons.map((s) => new Date(s.date).getFullYear())),
-    ].sort((a, b) => b - a);
+    // Guard against two sources producing the same slug. The suffix comes
+    // from the guid, so the URL doesn't move as other sermons come and go
+    let slug = sermonSlug(guid);
+    if (usedSlugs.has(slug)) {
+      slug = `${slug}-${createHash("sha1").update(String(guid)).digest("hex").slice(0, 6)}`;
+    }
+    usedSlugs.add(slug);
 
     return {
-      items: sermons,
-      meta: {
-        total: sermons.length,
-        speakers: speakers,
-        books: books,
-        years: years,
-        feedTitle: feed.title || "Sermons",
-        lastBuildDate: feed.lastBuildDate || new Date().toISOString(),
-      },
+      id: index,
+      title: item.title || "Untitled Sermon",
+      speaker: speaker,
+      speakerSlug: slugify(speakerKey(speaker)),
+      speakerUrl: `/sermons/speakers/${slugify(speakerKey(speaker))}/`,
+      date: item.date,
+      dateFormatted: formatDate(item.date),
+      isoDate: item.isoDate || dateObj.toISOString(),
+      year: dateObj.getFullYear(),
+      scripture: scripture.text,
+      scriptureNormalized: formatPassages(scripture.passages),
+      book: scripture.passages[0]?.book || "",
+      // OSIS codes of every book the passages are in, for the archive's book filter
+      bookCodes: [...new Set(scripture.passages.map((p) => p.bookOsis))],
+      passages: scripture.passages,
+      series: series,
+      seriesSlug: slugify(series),
+      seriesUrl: series ? `/sermons/series/${slugify(series)}/` : "",
+      duration: durationDisplay,
+      durationSeconds: durationSeconds,
+      audioUrl: item.audioUrl || "",
+      audioType: item.audioType || "audio/mpeg",
+      audioLength: Number(item.audioLength) || 0,
+      chaptersUrl: item.chaptersUrl || "",
+      summary: descriptionText,
+      link: item.link || "",
+      linkLabel: item.linkLabel || "",
+      source: item.source,
+      guid: guid,
+      slug: slug,
+      url: `/sermons/${slug}/`,
     };
-  } catch (err) {
-    console.error("Error fetching sermon feed:", err.message);
-    // Return empty data on error to prevent build failure
-    return {
-      items: [],
-      meta: {
-        total: 0,
-        speakers: [],
-        books: [],
-        years: [],
-        feedTitle: "Sermons",
-        lastBuildDate: new Date().toISOString(),
-        error: err.message,
-      },
-    };
-  }
+  });
+
+  // Sort by date (newest first)
+  sermons.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  // Generate metadata for filtering
+  const speakers = [...new Set(sermons.map((s) => s.speaker))].sort();
+  // Every book preached from, in canonical order (Genesis to Revelation), not alphabetical
+  const books = [...new Set(sermons.flatMap((s) => s.bookCodes))]
+    .map((osis) => BOOKS_BY_OSIS.get(osis))
+    .sort((a, b) => a.order - b.order)
+    .map((book) => ({ osis: book.osis, name: book.name }));
+  const seriesNames = [...new Set(sermons.map((s) => s.series).filter(Boolean))].sort();
+  const years = [
+    ...new Set(sermons.map((s) => new Date(s.date).getFullYear())),
+  ].sort((a, b) => b - a);
+
+  return {
+    items: sermons,
+    scripture: buildScriptureIndex(sermons),
+    series: buildSeriesIndex(sermons, seriesOverrides),
+    speakers: buildSpeakerIndex(sermons, speakerDetails),
+    searchIndex: buildSearchIndex(sermons),
+    meta: {
+      total: sermons.length,
+      speakers: speakers,
+      books: books,
+      series: seriesNames,
+      years: years,
+      sources: [...new Set(sermons.map((s) => s.source))],
+      feedTitle: primaryFeed?.title || "Sermons",
+      feedImage: primaryFeed?.image || "",
+      lastBuildDate: primaryFeed?.lastBuildDate || new Date().toISOString(),
+      ...(errors.length > 0 && { error: errors.join("; ") }),
+      ...(snapshots.length > 0 && { snapshots: snapshots }),
+    },
+  };
 };
@@ -0,0 +1,20 @@
+/**
+ * Sermon Speakers
+ *
+ * Display details for preachers in the sermon archive, keyed by the name
+ * shown on the site. Feed names are matched ignoring titles (Rev., Pastor,
+ * Dr.), punctuation and extra spaces, so "Rev. Marc Scaturro" and
+ * "Marc  Scaturro" are the same speaker. List other spellings under aliases.
+ *
+ * A photo is a path on the site, e.g. "/assets/images/Leadership_Marc.jpg"
+ * for src/assets/images/Leadership_Marc.jpg; one that isn't there is left
+ * off (with a warning in the build) rather than shown broken.
+ */
+
+export default {
+  "Rev. Marc Scaturro": {
+    role: "Pastor",
+    bio: "Rev. Marc Scaturro is the pastor of Spencer Mills Orthodox Presbyterian Church.",
+    aliases: ["Pastor Marc"]
+  }
+};
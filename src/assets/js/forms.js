@@ -0,0 +1,190 @@
+/**
+ * Site Forms
+ *
+ * Checks and sends the forms the form shortcode renders (lib/form-markup.js)
+ * without leaving the page:
+ *
+ * - Before sending, each field is checked and its message (from the
+ *   field's data-*-message attributes) shown in its error element, which
+ *   the field points to with aria-describedby; focus moves to the first
+ *   problem. Messages clear as the field is fixed.
+ * - The form is posted to its endpoint (/api/forms/<form>, lib/forms.js)
+ *   in the background. Errors the handler finds are shown the same way,
+ *   and the result goes in the form's `[data-form-status]` element.
+ * - `_elapsed`, the time since the visitor first touched the form, is sent
+ *   along for the handler's spam check.
+ * - Fields with `data-only-if` (e.g. a name, only when the visitor chose
+ *   to give it) are shown and enabled only while the condition holds, so
+ *   hidden ones are neither checked nor sent.
+ *
+ * Listens on the document, so forms on pages the sermon player swaps in
+ * work too.
+ */
+(function() {
+  const started = new WeakMap();
+
+  function formOf(target) {
+    return target instanceof Element ? target.closest('form[data-form]') : null;
+  }
+
+  // The script shows its own messages instead of the browser's bubbles
+  function markStarted(event) {
+    const form = formOf(event.target);
+    if (!form || started.has(form)) return;
+    form.noValidate = true;
+    started.set(form, Date.now());
+  }
+
+  // Element carrying the field's messages: the input, or a group's fieldset
+  function fieldElement(form, name) {
+    return form.querySelector(`[data-field="${CSS.escape(name)}"]`);
+  }
+
+  function errorElement(field) {
+    const ids = (field.getAttribute('aria-describedby') || '').split(/\s+/);
+    return ids.map(id => document.getElementById(id)).find(el => el && el.hasAttribute('data-field-error'));
+  }
+
+  function inputsOf(field) {
+    return field.matches('fieldset') ? [...field.querySelectorAll('input')] : [field];
+  }
+
+  function setError(field, message) {
+    const error = errorElement(field);
+    inputsOf(field).forEach(input => {
+      if (message) input.setAttribute('aria-invalid', 'true');
+      else input.removeAttribute('aria-invalid');
+    });
+    if (error) {
+      error.textContent = message || '';
+      error.classList.toggle('hidden', !message);
+    }
+  }
+
+  function checkField(field) {
+    if (field.dataset.group === 'checkbox') {
+      const checked = field.querySelectorAll('input:checked').length > 0;
+      return field.dataset.requiredMessage && !checked ? field.dataset.requiredMessage : '';
+    }
+
+    const input = field.matches('fieldset') ? field.querySelector('input') : field;
+    const validity = input.validity;
+    if (validity.valueMissing) return field.dataset.requiredMessage || input.validationMessage;
+    if (validity.typeMismatch || validity.patternMismatch) return field.dataset.invalidMessage || input.validationMessage;
+    if (validity.tooLong) return field.dataset.tooLongMessage || input.validationMessage;
+    return '';
+  }
+
+  function validate(form) {
+    let first = null;
+    form.querySelectorAll('[data-field]').forEach(field => {
+      if (field.closest('[data-only-if].hidden')) return;
+      const message = checkField(field);
+      setError(field, message);
+      if (message && !first) first = field;
+    });
+    if (first) inputsOf(first)[0].focus();
+    return !first;
+  }
+
+  function showStatus(form, state, message) {
+    const status = form.querySelector('[data-form-status]');
+    if (!status) return;
+    status.dataset.state = state;
+    status.textContent = message;
+    status.classList.remove('hidden');
+  }
+
+  function showServerErrors(form, errors) {
+    let first = null;
+    for (const [name, message] of Object.entries(errors || {})) {
+      const field = fieldElement(form, name);
+      if (!field) continue;
+      setError(field, message);
+      if (!first) first = field;
+    }
+    if (first) inputsOf(first)[0].focus();
+  }
+
+  function applyConditions(form) {
+    form.querySelectorAll('[data-only-if]').forEach(el => {
+      const conditions = JSON.parse(el.dataset.onlyIf);
+      const shown = Object.entries(conditions).every(([name, allowed]) => {
+        const control = form.elements[name];
+        return [].concat(allowed).includes(control ? control.value : '');
+      });
+      el.classList.toggle('hidden', !shown);
+      [el, ...el.querySelectorAll('input, textarea, select')].forEach(input => {
+        if ('disabled' in input) input.disabled = !shown;
+      });
+      if (!shown) {
+        [el, ...el.querySelectorAll('[data-field]')].filter(f => f.hasAttribute('data-field')).forEach(f => setError(f, ''));
+      }
+    });
+  }
+
+  function conditionChanged(event) {
+    const form = formOf(event.target);
+    if (form) applyConditions(form);
+  }
+
+  // Once a message is showing, recheck the field as it's changed
+  function recheck(event) {
+    const form = formOf(event.target);
+    const field = form && event.target.closest('[data-field]');
+    if (!field || !inputsOf(field).some(input => input.hasAttribute('aria-invalid'))) return;
+    setError(field, checkField(field));
+  }
+
+  async function submit(event) {
+    const form = formOf(event.target);
+    if (!form) return;
+    event.preventDefault();
+
+    form.querySelector('[data-form-status]')?.classList.add('hidden');
+    if (!validate(form)) return;
+
+    const button = form.querySelector('[type="submit"]');
+    const label = button ? button.textContent : '';
+    const elapsed = form.querySelector('[name="_elapsed"]');
+    if (elapsed) elapsed.value = started.has(form) ? Date.now() - started.get(form) : 0;
+
+    if (button) {
+      button.disabled = true;
+      button.textContent = 'Sending…';
+    }
+
+    try {
+      const response = await fetch(form.action, {
+        method: 'POST',
+        body: new FormData(form),
+        headers: { Accept: 'application/json' }
+      });
+      const result = await response.json();
+
+      if (result.ok) {
+        form.reset();
+        applyConditions(form);
+        started.delete(form);
+        showStatus(form, 'success', result.message);
+      } else {
+        showServerErrors(form, result.errors);
+        showStatus(form, 'error', result.message);
+      }
+    } catch (err) {
+      showStatus(form, 'error', "Sorry, your message couldn't be sent. Please check your connection and try again.");
+    } finally {
+      if (button) {
+        button.disabled = false;
+        button.textContent = label;
+      }
+    }
+  }
+
+  document.addEventListener('focusin', markStarted);
+  document.addEventListener('input', markStarted);
+  document.addEventListener('input', recheck);
+  document.addEventListener('change', recheck);
+  document.addEventListener('change', conditionChanged);
+  document.addEventListener('submit', submit);
+})();
@@ -0,0 +1,508 @@
+/**
+ * Site-wide Sermon Player
+ *
+ * Drives the mini-player docked at the bottom of every page
+ * (src/_includes/player.liquid).
+ *
+ * - Keeps playing across pages: while audio is playing, same-site links
+ *   are fetched and swapped into the page instead of reloading it
+ * - Saves each sermon's position in localStorage so listeners can resume
+ * - Playback speed, ±15s skip, a play queue, and Media Session metadata
+ *   for lock-screen and headset controls
+ *
+ * Lock screens show the square podcast artwork (PNG, from the player's
+ * data-artwork); few of them can show the SVG brand mark.
+ *
+ * Listen buttons anywhere on the site are plain markup (see
+ * _includes/sermons/listen-buttons.liquid):
+ *   data-player-action="play|queue" data-id data-audio-url data-title
+ *   data-scripture data-speaker data-url
+ */
+(function() {
+  const STORAGE_KEY = 'smopc-player';
+  const SKIP_SECONDS = 15;
+  const SAVE_INTERVAL_MS = 5000;
+  // Stopping this close to the end counts as finished
+  const FINISHED_MARGIN = 30;
+  // Oldest saved positions are dropped past this many sermons
+  const MAX_POSITIONS = 100;
+
+  const player = document.getElementById('audio-player');
+  if (!player) return;
+
+  const audio = document.getElementById('player-audio');
+  const progress = document.getElementById('player-progress');
+  const toggleBtn = document.getElementById('player-toggle');
+  const playIcon = document.getElementById('player-icon-play');
+  const pauseIcon = document.getElementById('player-icon-pause');
+  const titleLink = document.getElementById('player-title');
+  const scriptureText = document.getElementById('player-scripture');
+  const timeText = document.getElementById('player-time');
+  const rateSelects = [document.getElementById('player-rate'), document.getElementById('player-rate-mobile')];
+  const queuePanel = document.getElementById('player-queue');
+  const queueToggle = document.getElementById('player-queue-toggle');
+  const queueCount = document.getElementById('player-queue-count');
+  const queueList = document.getElementById('player-queue-list');
+  const queueEmpty = document.getElementById('player-queue-empty');
+
+  // --- Saved state ---
+
+  function loadState() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  const saved = loadState();
+  const state = {
+    current: saved.current || null,
+    queue: Array.isArray(saved.queue) ? saved.queue : [],
+    positions: saved.positions || {},
+    rate: Number(saved.rate) || 1
+  };
+
+  function saveState() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (e) {
+      // Storage full or disabled - playback still works, resume won't
+    }
+  }
+
+  function savePosition() {
+    if (!state.current || !audio.currentTime) return;
+    const id = state.current.id;
+    const finished = audio.duration && audio.currentTime > audio.duration - FINISHED_MARGIN;
+
+    delete state.positions[id];
+    if (!finished) {
+      // Re-inserting keeps the object in most-recent-last order for pruning
+      state.positions[id] = Math.floor(audio.currentTime);
+      const ids = Object.keys(state.positions);
+      ids.slice(0, Math.max(0, ids.length - MAX_POSITIONS)).forEach(old => delete state.positions[old]);
+    }
+    saveState();
+  }
+
+  // --- Helpers ---
+
+  function sermonFromButton(btn) {
+    const d = btn.dataset;
+    return {
+      id: d.id,
+      audioUrl: d.audioUrl,
+      title: d.title,
+      scripture: d.scripture || '',
+      speaker: d.speaker || '',
+      url: d.url || '/sermons/'
+    };
+  }
+
+  function formatTime(totalSeconds) {
+    if (!isFinite(totalSeconds) || totalSeconds < 0) totalSeconds = 0;
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = Math.floor(totalSeconds % 60);
+    const ss = String(seconds).padStart(2, '0');
+    return hours > 0
+      ? hours + ':' + String(minutes).padStart(2, '0') + ':' + ss
+      : minutes + ':' + ss;
+  }
+
+  function isQueued(id) {
+    return state.queue.some(s => s.id === id);
+  }
+
+  // --- Rendering ---
+
+  function show() {
+    player.classList.remove('hidden');
+    document.body.style.paddingBottom = player.offsetHeight + 'px';
+  }
+
+  function hide() {
+    player.classList.add('hidden');
+    queuePanel.classList.add('hidden');
+    queueToggle.setAttribute('aria-expanded', 'false');
+    document.body.style.paddingBottom = '';
+  }
+
+  function renderTime() {
+    const duration = isFinite(audio.duration) ? audio.duration : 0;
+    progress.max = Math.floor(duration);
+    progress.value = Math.floor(audio.currentTime);
+    timeText.textContent = formatTime(audio.currentTime) + ' / ' + formatTime(duration);
+  }
+
+  function renderPlayState() {
+    const playing = !audio.paused;
+    playIcon.classList.toggle('hidden', playing);
+    pauseIcon.classList.toggle('hidden', !playing);
+    toggleBtn.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+    if ('mediaSession' in navigator) {
+      navigator.mediaSession.playbackState = playing ? 'playing' : 'paused';
+    }
+  }
+
+  function renderQueue() {
+    queueList.innerHTML = '';
+    state.queue.forEach((sermon, index) => {
+      const item = document.createElement('li');
+      item.className = 'flex items-center gap-3 text-sm';
+
+      const play = document.createElement('button');
+      play.type = 'button';
+      play.className = 'flex-1 min-w-0 text-left truncate hover:text-spruce transition-colors';
+      play.textContent = sermon.title + (sermon.scripture ? ' · ' + sermon.scripture : '');
+      play.addEventListener('click', () => playSermon(sermon));
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'text-white/50 hover:text-white text-xs uppercase tracking-widest';
+      remove.textContent = 'Remove';
+      remove.setAttribute('aria-label', 'Remove ' + sermon.title + ' from queue');
+      remove.addEventListener('click', () => {
+        state.queue.splice(index, 1);
+        saveState();
+        render();
+      });
+
+      item.append(play, remove);
+      queueList.appendChild(item);
+    });
+
+    queueEmpty.classList.toggle('hidden', state.queue.length > 0);
+    queueCount.textContent = state.queue.length;
+    queueCount.classList.toggle('hidden', state.queue.length === 0);
+  }
+
+  // Reflect queue state on the listen buttons in the current page
+  function renderButtons() {
+    document.querySelectorAll('[data-player-action="queue"]').forEach(btn => {
+      const queued = isQueued(btn.dataset.id);
+      btn.setAttribute('aria-pressed', queued ? 'true' : 'false');
+      const label = btn.querySelector('[data-player-queue-label]');
+      if (label) label.textContent = queued ? 'Queued' : 'Add to Queue';
+    });
+  }
+
+  function render() {
+    if (state.current) {
+      titleLink.textContent = state.current.title;
+      titleLink.href = state.current.url;
+      scriptureText.textContent = state.current.scripture ? state.current.scripture + ' ·' : '';
+    }
+    rateSelects.forEach(select => { if (select) select.value = String(state.rate); });
+    renderTime();
+    renderPlayState();
+    renderQueue();
+    renderButtons();
+  }
+
+  // --- Media Session (lock screen, headsets, car controls) ---
+
+  function updateMediaSession() {
+    if (!('mediaSession' in navigator) || !state.current) return;
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: state.current.title,
+      artist: state.current.scripture || state.current.speaker,
+      album: state.current.speaker || 'Spencer Mills OPC Sermons',
+      artwork: [
+        { src: player.dataset.artwork, sizes: '1400x1400', type: 'image/png' },
+        { src: '/assets/images/logos/SpencerMills_BrandMark.svg', sizes: 'any', type: 'image/svg+xml' }
+      ].filter(image => image.src)
+    });
+  }
+
+  function updatePositionState() {
+    if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState) return;
+    if (!isFinite(audio.duration)) return;
+    try {
+      navigator.mediaSession.setPositionState({
+        duration: audio.duration,
+        playbackRate: audio.playbackRate,
+        position: Math.min(audio.currentTime, audio.duration)
+      });
+    } catch (e) {
+      // Some browsers reject position updates mid-seek
+    }
+  }
+
+  if ('mediaSession' in navigator) {
+    const handlers = {
+      play: () => audio.play().catch(() => renderPlayState()),
+      pause: () => audio.pause(),
+      seekbackward: details => skip(-(details.seekOffset || SKIP_SECONDS)),
+      seekforward: details => skip(details.seekOffset || SKIP_SECONDS),
+      seekto: details => { audio.currentTime = details.seekTime; },
+      previoustrack: () => { audio.currentTime = 0; },
+      nexttrack: () => playNext()
+    };
+    Object.entries(handlers).forEach(([action, handler]) => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler);
+      } catch (e) {
+        // Action not supported by this browser
+      }
+    });
+  }
+
+  // --- Playback ---
+
+  function load(sermon, autoplay) {
+    state.current = sermon;
+    audio.src = sermon.audioUrl;
+    audio.defaultPlaybackRate = state.rate;
+    audio.playbackRate = state.rate;
+
+    const resumeAt = state.positions[sermon.id] || 0;
+    if (resumeAt) {
+      audio.addEventListener('loadedmetadata', () => { audio.currentTime = resumeAt; }, { once: true });
+    }
+    if (autoplay) {
+      audio.play().catch(() => renderPlayState());
+    }
+
+    saveState();
+    updateMediaSession();
+    show();
+    render();
+  }
+
+  function playSermon(sermon) {
+    if (state.current && state.current.id === sermon.id) {
+      audio.play().catch(() => renderPlayState());
+      return;
+    }
+    savePosition();
+    state.queue = state.queue.filter(s => s.id !== sermon.id);
+    load(sermon, true);
+  }
+
+  function toggleQueued(sermon) {
+    if (!state.current) {
+      // Nothing loaded yet: make it the current sermon, ready to play
+      load(sermon, false);
+      return;
+    }
+    if (state.current.id === sermon.id) return;
+
+    if (isQueued(sermon.id)) {
+      state.queue = state.queue.filter(s => s.id !== sermon.id);
+    } else {
+      state.queue.push(sermon);
+    }
+    saveState();
+    show();
+    render();
+  }
+
+  function playNext() {
+    const next = state.queue.shift();
+    if (next) {
+      load(next, true);
+    } else {
+      saveState();
+      render();
+    }
+  }
+
+  function skip(seconds) {
+    const duration = isFinite(audio.duration) ? audio.duration : Infinity;
+    audio.currentTime = Math.max(0, Math.min(duration, audio.currentTime + seconds));
+  }
+
+  function setRate(rate) {
+    state.rate = Number(rate) || 1;
+    audio.defaultPlaybackRate = state.rate;
+    audio.playbackRate = state.rate;
+    saveState();
+    render();
+  }
+
+  function close() {
+    savePosition();
+    audio.pause();
+    audio.removeAttribute('src');
+    audio.load();
+    state.current = null;
+    saveState();
+    hide();
+    renderButtons();
+  }
+
+  // --- Audio events ---
+
+  let lastSave = 0;
+  audio.addEventListener('timeupdate', () => {
+    renderTime();
+    if (Date.now() - lastSave > SAVE_INTERVAL_MS) {
+      lastSave = Date.now();
+      savePosition();
+      updatePositionState();
+    }
+  });
+  audio.addEventListener('loadedmetadata', () => {
+    renderTime();
+    updatePositionState();
+  });
+  audio.addEventListener('play', renderPlayState);
+  audio.addEventListener('pause', () => {
+    renderPlayState();
+    savePosition();
+  });
+  audio.addEventListener('ended', () => {
+    delete state.positions[state.current.id];
+    playNext();
+  });
+
+  // --- Controls ---
+
+  toggleBtn.addEventListener('click', () => {
+    if (audio.paused) {
+      audio.play().catch(() => renderPlayState());
+    } else {
+      audio.pause();
+    }
+  });
+  document.getElementById('player-back').addEventListener('click', () => skip(-SKIP_SECONDS));
+  document.getElementById('player-forward').addEventListener('click', () => skip(SKIP_SECONDS));
+  document.getElementById('player-close').addEventListener('click', close);
+  progress.addEventListener('input', () => { audio.currentTime = Number(progress.value); });
+  rateSelects.forEach(select => {
+    if (select) select.addEventListener('change', () => setRate(select.value));
+  });
+  queueToggle.addEventListener('click', () => {
+    const opening = queuePanel.classList.contains('hidden');
+    queuePanel.classList.toggle('hidden', !opening);
+    queueToggle.setAttribute('aria-expanded', opening ? 'true' : 'false');
+    queueToggle.setAttribute('aria-label', opening ? 'Hide queue' : 'Show queue');
+    document.body.style.paddingBottom = player.offsetHeight + 'px';
+  });
+
+  // --- Navigation that keeps audio playing ---
+
+  // Pages may rewrite their own query string (e.g. ?passage=), so only the
+  // path identifies which page is showing
+  let currentPath = location.pathname;
+
+  function shouldIntercept(link, event) {
+    if (audio.paused || !state.current) return false;
+    if (event.defaultPrevented || event.button !== 0) return false;
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return false;
+    if ((link.target && link.target !== '_self') || link.hasAttribute('download')) return false;
+
+    const url = new URL(link.href, location.href);
+    if (url.origin !== location.origin) return false;
+    // In-page anchors scroll normally
+    if (url.pathname + url.search === location.pathname + location.search && url.hash) return false;
+    // Feeds, calendars, media and other non-page files
+    if (/\.(xml|ics|json|mp3|m4a|pdf|jpe?g|png|webp|avif|svg)$/i.test(url.pathname)) return false;
+    return true;
+  }
+
+  // Scripts from DOMParser are inert; clone them so they run
+  function runScripts(container) {
+    container.querySelectorAll('script').forEach(old => {
+      const script = document.createElement('script');
+      for (const attr of old.attributes) script.setAttribute(attr.name, attr.value);
+      script.textContent = old.textContent;
+      old.replaceWith(script);
+    });
+  }
+
+  function swapPage(doc) {
+    document.title = doc.title;
+    const description = doc.querySelector('meta[name="description"]');
+    const currentDescription = document.querySelector('meta[name="description"]');
+    if (description && currentDescription) currentDescription.content = description.content;
+    document.body.className = doc.body.className;
+
+    // Icon sprite, header (active nav link) and page content
+    const sprite = doc.querySelector('body > svg.hidden');
+    const currentSprite = document.querySelector('body > svg.hidden');
+    if (sprite && currentSprite) currentSprite.replaceWith(sprite);
+    else if (sprite) document.body.prepend(sprite);
+
+    ['body > header', 'main#main'].forEach(selector => {
+      const next = doc.querySelector(selector);
+      const current = document.querySelector(selector);
+      if (next && current) {
+        current.replaceWith(next);
+        runScripts(next);
+      }
+    });
+  }
+
+  async function navigate(href, push) {
+    try {
+      const response = await fetch(href);
+      const type = response.headers.get('content-type') || '';
+      if (!response.ok || !type.includes('text/html')) throw new Error('Not a page');
+
+      const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+      const url = new URL(response.url || href, location.href);
+      if (push) history.pushState({ player: true }, '', url.pathname + url.search + new URL(href, location.href).hash);
+      currentPath = location.pathname;
+
+      swapPage(doc);
+      renderButtons();
+
+      const target = location.hash && document.getElementById(decodeURIComponent(location.hash.slice(1)));
+      if (target) {
+        target.scrollIntoView();
+      } else {
+        window.scrollTo(0, 0);
+      }
+      const main = document.getElementById('main');
+      if (main) {
+        main.setAttribute('tabindex', '-1');
+        main.focus({ preventScroll: true });
+      }
+    } catch (e) {
+      location.href = href;
+    }
+  }
+
+  document.addEventListener('click', event => {
+    const btn = event.target.closest('[data-player-action]');
+    if (btn) {
+      event.preventDefault();
+      const sermon = sermonFromButton(btn);
+      if (btn.dataset.playerAction === 'queue') {
+        toggleQueued(sermon);
+      } else {
+        playSermon(sermon);
+      }
+      return;
+    }
+
+    const link = event.target.closest('a[href]');
+    if (link && shouldIntercept(link, event)) {
+      event.preventDefault();
+      navigate(link.href, true);
+    }
+  });
+
+  window.addEventListener('popstate', () => {
+    // Hash and query changes keep the same page
+    if (location.pathname === currentPath) return;
+    if (!audio.paused && state.current) {
+      navigate(location.href, false);
+    } else {
+      location.reload();
+    }
+  });
+
+  window.addEventListener('pagehide', savePosition);
+
+  // --- Restore the last sermon (paused, at its saved position) ---
+
+  if (state.current) {
+    load(state.current, false);
+  } else {
+    render();
+  }
+})();
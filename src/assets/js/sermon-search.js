@@ -0,0 +1,53 @@
+/**
+ * Sermon Search
+ *
+ * Browser side of the archive search. The ranking, typo tolerance and
+ * passage matching are in lib/sermon-search.js (copied to
+ * /assets/js/lib/); this loads the index that sermons.js writes to
+ * /sermons/search-index.json at build time and marks up the results.
+ * Everything runs in the browser from static files - there is no hosted
+ * search service. Loaded as a module, it sets window.SermonSearch for the
+ * archive page's script:
+ *
+ *   const search = await SermonSearch.load('/sermons/search-index.json');
+ *   search.query('grace romans');   // [{ id, score, terms }], best first
+ *   search.parsePassage('John 3:16');
+ *   SermonSearch.highlight(element, text, terms);
+ *   SermonSearch.excerpt(text, terms);
+ *   SermonSearch.passageSearch(location.search, passage);
+ */
+import { createSearchIndex, excerpt, passageSearch, tokenize } from './lib/sermon-search.js';
+
+function load(url) {
+  return fetch(url)
+    .then(response => {
+      if (!response.ok) throw new Error('Search index unavailable');
+      return response.json();
+    })
+    .then(createSearchIndex);
+}
+
+// Replace element's contents with text, wrapping matched words in <mark>
+function highlight(element, text, terms) {
+  element.textContent = '';
+  if (!terms || terms.size === 0) {
+    element.textContent = text;
+    return;
+  }
+
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let last = 0;
+  let match;
+  while ((match = wordPattern.exec(text))) {
+    if (!tokenize(match[0]).some(term => terms.has(term))) continue;
+    element.append(text.slice(last, match.index));
+    const mark = document.createElement('mark');
+    mark.className = 'bg-spruce/20 text-inherit rounded-sm';
+    mark.textContent = match[0];
+    element.append(mark);
+    last = match.index + match[0].length;
+  }
+  element.append(text.slice(last));
+}
+
+window.SermonSearch = { load: load, highlight: highlight, excerpt: excerpt, passageSearch: passageSearch, tokenize: tokenize };
@@ -0,0 +1,175 @@
+/**
+ * Calendar expansion tests (lib/calendar.js)
+ *
+ * Each fixture in test/fixtures/ is a small .ics file shaped like the
+ * Office 365 feed. Every case runs with the build in UTC (as in CI) and in
+ * America/Detroit (as on a local machine), since node-ical reads all-day
+ * and floating values in the build's own time zone.
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import ical from 'node-ical';
+import { expandEvents } from '../lib/calendar.js';
+
+const FROM = new Date('2026-10-01T00:00:00Z');
+const TO = new Date('2027-02-01T00:00:00Z');
+
+function expandFixture(name, from = FROM, to = TO) {
+  const text = readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+  return expandEvents(ical.sync.parseICS(text), from, to);
+}
+
+function startsOf(events) {
+  return events.map((e) => e.start.toISOString());
+}
+
+for (const buildTimeZone of ['UTC', 'America/Detroit']) {
+  describe(`calendar expansion (build in ${buildTimeZone})`, () => {
+    const originalTimeZone = process.env.TZ;
+    before(() => { process.env.TZ = buildTimeZone; });
+    after(() => { process.env.TZ = originalTimeZone; });
+
+    describe('EXDATE', () => {
+      it('drops excluded weeks, including ones after the DST change', () => {
+        const events = expandFixture('exdate.ics');
+        const dates = events.map((e) => e.dateKey);
+
+        assert.equal(events.length, 8);
+        assert.ok(!dates.includes('2026-10-14'));
+        assert.ok(!dates.includes('2026-11-25'));
+        assert.deepEqual(dates.slice(0, 3), ['2026-10-07', '2026-10-21', '2026-10-28']);
+      });
+
+      it('keeps 7 PM Detroit time on both sides of the DST change', () => {
+        const events = expandFixture('exdate.ics');
+        const oct21 = events.find((e) => e.dateKey === '2026-10-21');
+        const nov4 = events.find((e) => e.dateKey === '2026-11-04');
+
+        assert.equal(oct21.start.toISOString(), '2026-10-21T23:00:00.000Z');
+        assert.equal(nov4.start.toISOString(), '2026-11-05T00:00:00.000Z');
+        assert.equal(nov4.formattedTimeRange, '7:00 PM – 8:30 PM');
+      });
+    });
+
+    describe('RECURRENCE-ID overrides', () => {
+      it('moves an overridden week to its new time and title', () => {
+        const events = expandFixture('overrides.ics');
+        const oct18 = events.filter((e) => e.dateKey === '2026-10-18');
+
+        assert.equal(oct18.length, 1);
+        assert.equal(oct18[0].title, 'Evening Worship (hymn sing)');
+        assert.equal(oct18[0].formattedTimeRange, '4:00 PM – 5:00 PM');
+        assert.equal(oct18[0].isRecurring, true);
+      });
+
+      it('falls back to the series for details the override leaves out', () => {
+        const oct18 = expandFixture('overrides.ics').find((e) => e.dateKey === '2026-10-18');
+
+        assert.equal(oct18.location, 'Sanctuary');
+        assert.equal(oct18.description, "Lord's Day evening worship.");
+      });
+
+      it('drops cancelled weeks', () => {
+        const dates = expandFixture('overrides.ics').map((e) => e.dateKey);
+
+        assert.ok(dates.includes('2026-10-25'));
+        assert.ok(!dates.includes('2026-11-01'));
+        assert.ok(dates.includes('2026-11-08'));
+      });
+
+      it('follows an override that moves a week into the requested range', () => {
+        const events = expandFixture('overrides.ics', FROM, new Date('2027-01-02T00:00:00Z'));
+        const moved = events.find((e) => e.title === "New Year's Eve Service");
+
+        assert.equal(moved.dateKey, '2026-12-31');
+        assert.ok(!events.some((e) => e.dateKey === '2027-01-03'));
+      });
+    });
+
+    describe('time zones and DST', () => {
+      it('keeps weekly services at 9:30–11:00 AM across both DST changes', () => {
+        const worship = expandFixture('dst.ics', FROM, new Date('2027-04-01T00:00:00Z'))
+          .filter((e) => e.title === 'Morning Worship');
+
+        assert.equal(worship.length, 22);
+        worship.forEach((e) => assert.equal(e.formattedTimeRange, '9:30 AM – 11:00 AM', e.dateKey));
+        assert.deepEqual(startsOf(worship.filter((e) => ['2026-10-25', '2026-11-01', '2027-03-07', '2027-03-14'].includes(e.dateKey))), [
+          '2026-10-25T13:30:00.000Z',
+          '2026-11-01T14:30:00.000Z',
+          '2027-03-07T14:30:00.000Z',
+          '2027-03-14T13:30:00.000Z'
+        ]);
+      });
+
+      it('ends an event that spans the DST change at its wall-clock end time', () => {
+        const vigil = expandFixture('dst.ics').find((e) => e.title === 'Overnight Prayer Vigil');
+
+        assert.equal(vigil.start.toISOString(), '2026-11-01T02:00:00.000Z');
+        assert.equal(vigil.end.toISOString(), '2026-11-01T11:00:00.000Z');
+        assert.equal(vigil.formattedTimeRange, '10:00 PM – 6:00 AM');
+        assert.equal(vigil.lastDateKey, '2026-11-01');
+      });
+
+      it('reads floating times as Detroit time', () => {
+        const meeting = expandFixture('dst.ics').find((e) => e.title === 'Session Meeting');
+
+        assert.equal(meeting.start.toISOString(), '2026-11-06T00:00:00.000Z');
+        assert.equal(meeting.dateKey, '2026-11-05');
+        assert.equal(meeting.formattedTimeRange, '7:00 PM – 8:30 PM');
+      });
+    });
+
+    describe('all-day events', () => {
+      it('keeps recurring all-day events on the right dates across DST', () => {
+        const days = expandFixture('all-day.ics').filter((e) => e.title === 'Day of Prayer');
+
+        assert.deepEqual(days.map((e) => e.dateKey), ['2026-10-25', '2026-11-01', '2026-11-15', '2026-11-22']);
+        days.forEach((e) => {
+          assert.equal(e.isAllDay, true);
+          assert.equal(e.datetime, e.dateKey);
+          assert.equal(e.formattedTime, 'All day');
+        });
+      });
+
+      it('runs all-day events from Detroit midnight to midnight', () => {
+        const thanksgiving = expandFixture('all-day.ics').find((e) => e.title === 'Thanksgiving Day Service');
+
+        assert.equal(thanksgiving.start.toISOString(), '2026-11-26T05:00:00.000Z');
+        assert.equal(thanksgiving.end.toISOString(), '2026-11-27T05:00:00.000Z');
+        assert.equal(thanksgiving.formattedDate, 'Thursday, November 26, 2026');
+      });
+
+      it('spans multi-day events through the day before DTEND', () => {
+        const retreat = expandFixture('all-day.ics').find((e) => e.title === "Men's Retreat");
+
+        assert.equal(retreat.dateKey, '2026-11-06');
+        assert.equal(retreat.lastDateKey, '2026-11-08');
+      });
+    });
+  });
+}
+
+describe('calendar data on Cloudflare Pages', () => {
+  const env = { ...process.env };
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+    process.env = { ...env };
+  });
+
+  it('fails the build when CALENDAR_ICS_URL is not set', async () => {
+    process.env.CF_PAGES = '1';
+    delete process.env.CALENDAR_ICS_URL;
+    delete process.env.DATA_FIXTURES;
+    // A fresh copy, since the module reads CALENDAR_ICS_URL when loaded
+    const { default: loadCalendar } = await import('../src/_data/calendar.js?no-url');
+
+    await assert.rejects(loadCalendar(), /CALENDAR_ICS_URL is not set/);
+  });
+});
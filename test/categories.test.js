@@ -0,0 +1,74 @@
+/**
+ * Event category tests (lib/categories.js)
+ *
+ * Runs against the real src/_data/eventCategories.yaml, so a change there
+ * that would publish officers' meetings fails here first.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import yaml from 'js-yaml';
+import { categorize, loadCategories } from '../lib/categories.js';
+
+const config = loadCategories(yaml.load(readFileSync(new URL('../src/_data/eventCategories.yaml', import.meta.url), 'utf8')));
+
+function typeOf(title, categories = []) {
+  return categorize({ title, categories }, config).type.name;
+}
+
+describe('categorize', () => {
+  it('uses Outlook categories first, matching type names and aliases', () => {
+    assert.equal(typeOf('Hymn Sing', ['Worship']), 'Worship');
+    assert.equal(typeOf('Budget Review', ['session']), 'Officers');
+    assert.equal(typeOf('Morning Worship', ['Red category', 'Social']), 'Fellowship');
+  });
+
+  it('reads a "Type:" or "[Type]" prefix and hides it from the title', () => {
+    const colon = categorize({ title: 'Officers: Budget Review', categories: [] }, config);
+    const bracket = categorize({ title: '[Fellowship] Chili Cook-off', categories: [] }, config);
+
+    assert.equal(colon.type.name, 'Officers');
+    assert.equal(colon.title, 'Budget Review');
+    assert.equal(bracket.type.name, 'Fellowship');
+    assert.equal(bracket.title, 'Chili Cook-off');
+  });
+
+  it('leaves titles with an unknown prefix alone', () => {
+    const result = categorize({ title: 'Romans 8: A Study', categories: [] }, config);
+
+    assert.equal(result.title, 'Romans 8: A Study');
+    assert.equal(result.type.name, 'Study');
+  });
+
+  it('falls back to keywords in the title, checking types in order', () => {
+    assert.equal(typeOf('Morning Worship'), 'Worship');
+    assert.equal(typeOf('Wednesday Bible Study'), 'Study');
+    assert.equal(typeOf('Session Meeting'), 'Officers');
+    assert.equal(typeOf('Thanksgiving Day Service'), 'Worship');
+    assert.equal(typeOf("New Year's Prayer Meeting"), 'Prayer');
+    assert.equal(typeOf("Men's Retreat"), 'Fellowship');
+  });
+
+  it('matches keywords as whole words only', () => {
+    assert.equal(typeOf('Servicemen Appreciation Day'), 'Church Life');
+  });
+
+  it('gives unmatched events the default type', () => {
+    assert.equal(typeOf('Congregational Meeting'), 'Church Life');
+  });
+});
+
+describe('loadCategories', () => {
+  it('rejects a default that is not one of the types', () => {
+    assert.throws(() => loadCategories({ default: 'Events', types: [{ name: 'Worship' }] }), /default type "Events"/);
+  });
+
+  it('rejects a private default', () => {
+    assert.throws(() => loadCategories({ default: 'Officers', types: [{ name: 'Officers', private: true }] }), /cannot be private/);
+  });
+
+  it('rejects a config without types', () => {
+    assert.throws(() => loadCategories({ default: 'Worship' }), /at least one type/);
+  });
+});
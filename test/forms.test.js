@@ -0,0 +1,476 @@
+/**
+ * Form tests (lib/forms.js, lib/form-markup.js)
+ *
+ * Run against the site's own forms in src/_data/forms.js. Requests are
+ * built the way the page script sends them: urlencoded or multipart
+ * bodies, with `Accept: application/json` unless a case is about plain
+ * form posts, and a token from a page served a minute before.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import forms from '../src/_data/forms.js';
+import {
+  TOKEN_MAX_AGE_MS,
+  checkFormToken,
+  createRateLimiter,
+  fillTemplate,
+  formatSubmission,
+  handleFormPost,
+  issueFormToken,
+  spamCheck,
+  stampFormTokens,
+  validateSubmission
+} from '../lib/forms.js';
+import { renderForm } from '../lib/form-markup.js';
+import { onRequestPost } from '../functions/api/forms/[form].js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const SECRET = 'test-secret';
+const TOKEN = await issueFormToken(SECRET, new Date(Date.now() - 60 * 1000));
+
+const CONTACT = {
+  name: 'Ruth Boaz',
+  email: 'ruth@example.org',
+  subject: 'Visiting on Sunday',
+  message: 'Is there a nursery?',
+  _page: '/contact/',
+  _elapsed: '12000',
+  _token: TOKEN,
+  website: ''
+};
+
+function post(form, fields, { json = true } = {}) {
+  const body = new URLSearchParams();
+  for (const [name, value] of Object.entries(fields)) {
+    for (const v of [].concat(value)) body.append(name, v);
+  }
+  return new Request(`https://spencermillsopc.org/api/forms/${form}`, {
+    method: 'POST',
+    body,
+    headers: json ? { Accept: 'application/json' } : {}
+  });
+}
+
+describe('validateSubmission', () => {
+  it('requires the required fields and checks emails', () => {
+    const { errors } = validateSubmission(forms.contact, { name: '  ', email: 'ruth@', subject: 'Hi' });
+
+    assert.deepEqual(Object.keys(errors).sort(), ['email', 'name']);
+    assert.match(errors.email, /valid email/);
+  });
+
+  it('trims values and keeps only the form\'s own fields', () => {
+    const { data, errors } = validateSubmission(forms.contact, { ...CONTACT, name: ' Ruth Boaz ', extra: 'x' });
+
+    assert.deepEqual(errors, {});
+    assert.equal(data.name, 'Ruth Boaz');
+    assert.ok(!('extra' in data));
+  });
+
+  it('accepts only the listed checkbox options', () => {
+    const visitor = { name: 'Ruth Boaz', email: 'ruth@example.org' };
+
+    assert.deepEqual(validateSubmission(forms.visitor, { ...visitor, interests: ['A pastoral visit'] }).errors, {});
+    assert.ok(validateSubmission(forms.visitor, { ...visitor, interests: ['Free money'] }).errors.interests);
+    assert.ok(validateSubmission(forms.visitor, { ...visitor, phone: 'call me' }).errors.phone);
+    assert.deepEqual(validateSubmission(forms.visitor, { ...visitor, phone: '(616) 754-7832' }).errors, {});
+  });
+
+  it('checks radio buttons and single checkboxes', () => {
+    const form = {
+      fields: [
+        { name: 'share', label: 'Share with', type: 'radio', required: true, options: [{ value: 'elders', label: 'Elders only' }] },
+        { name: 'consent', label: 'I agree', type: 'checkbox', required: true }
+      ]
+    };
+
+    assert.deepEqual(Object.keys(validateSubmission(form, {}).errors), ['share', 'consent']);
+    assert.match(validateSubmission(form, { share: 'everyone', consent: 'yes' }).errors.share, /Choose/);
+    assert.deepEqual(validateSubmission(form, { share: 'elders', consent: 'yes' }).errors, {});
+  });
+});
+
+describe('formatSubmission', () => {
+  it('fills the subject from the fields and shows option labels', () => {
+    const form = {
+      subject: 'Prayer: {share} ({tags})',
+      fields: [
+        { name: 'share', label: 'Share with', type: 'radio', options: [{ value: 'elders', label: 'Elders only' }] },
+        { name: 'consent', label: 'I agree', type: 'checkbox' }
+      ]
+    };
+    const submission = formatSubmission('prayer', form, { share: 'elders', consent: '' });
+
+    assert.equal(submission.subject, 'Prayer: Elders only ()');
+    assert.equal(submission.text, 'Share with: Elders only\nI agree: No');
+    assert.equal(fillTemplate('{a} and {b}', { a: ['x', 'y'], b: 'z' }), 'x, y and z');
+  });
+});
+
+describe('spamCheck', () => {
+  it('catches a filled-in honeypot and forms sent too quickly', () => {
+    assert.equal(spamCheck({ website: 'http://spam.example', _elapsed: '9000' }), 'honeypot');
+    assert.equal(spamCheck({ _elapsed: '800' }), 'too-fast');
+    assert.equal(spamCheck({ _elapsed: 'soon' }), 'too-fast');
+    assert.equal(spamCheck({ _elapsed: '9000', website: '' }), null);
+  });
+
+  it('leaves posts without the page script to the honeypot', () => {
+    assert.equal(spamCheck({ _elapsed: '', website: '' }), null);
+    assert.equal(spamCheck({ _elapsed: null }), null);
+    assert.equal(spamCheck({ _elapsed: '', website: 'http://spam.example' }), 'honeypot');
+  });
+});
+
+describe('form tokens', () => {
+  it('holds when the page was served, signed with the secret', async () => {
+    const token = await issueFormToken(SECRET, NOW);
+
+    assert.match(token, /^1\d{12}\.[0-9a-f]{64}$/);
+    assert.equal(await checkFormToken(token, SECRET, new Date(NOW.getTime() + 60 * 1000)), null);
+    assert.equal(await checkFormToken(token, SECRET, new Date(NOW.getTime() + 1000)), 'too-fast');
+    assert.equal(await checkFormToken(token, SECRET, new Date(NOW.getTime() + TOKEN_MAX_AGE_MS + 1)), 'expired');
+  });
+
+  it('rejects a missing, forged or altered token', async () => {
+    const later = new Date(NOW.getTime() + 60 * 1000);
+    const token = await issueFormToken(SECRET, NOW);
+    const [time, signature] = token.split('.');
+
+    assert.equal(await checkFormToken(undefined, SECRET, later), 'bad-token');
+    assert.equal(await checkFormToken('', SECRET, later), 'bad-token');
+    assert.equal(await checkFormToken(token, 'someone-else', later), 'bad-token');
+    assert.equal(await checkFormToken(`${Number(time) - 5000}.${signature}`, SECRET, later), 'bad-token');
+  });
+
+  it('is filled in on every form of a page', () => {
+    const html = `${renderForm('contact', forms.contact)}${renderForm('visitor', forms.visitor)}`;
+    const stamped = stampFormTokens(html, '123.abc');
+
+    assert.equal(stamped.match(/<input type="hidden" name="_token" value="123\.abc">/g).length, 2);
+    assert.equal(stampFormTokens('<input value="old" name="_token" type="hidden">', '123.abc'), '<input name="_token" type="hidden" value="123.abc">');
+  });
+});
+
+describe('handleFormPost', () => {
+  let delivered;
+  const log = { warn() {}, error() {} };
+  const deliver = async (submission) => { delivered.push(submission); };
+
+  beforeEach(() => {
+    delivered = [];
+  });
+
+  it('delivers a valid submission with its form and page', async () => {
+    const token = await issueFormToken(SECRET, new Date(NOW.getTime() - 60 * 1000));
+    const response = await handleFormPost(post('contact', { ...CONTACT, _token: token }), 'contact', { forms, secret: SECRET, deliver, now: NOW, log });
+    const [submission] = delivered;
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).ok, true);
+    assert.equal(submission.form, 'contact');
+    assert.equal(submission.subject, 'Contact: Visiting on Sunday');
+    assert.equal(submission.replyTo, 'ruth@example.org');
+    assert.equal(submission.receivedAt, '2026-10-19T12:00:00.000Z');
+    assert.match(submission.text, /^Name: Ruth Boaz\nEmail: ruth@example\.org/);
+    assert.match(submission.text, /Sent from \/contact\/$/);
+  });
+
+  it('reads every checked box from a multipart post', async () => {
+    const body = new FormData();
+    for (const [name, value] of Object.entries({ name: 'Ruth Boaz', email: 'ruth@example.org', _elapsed: '9000', _token: TOKEN })) body.append(name, value);
+    body.append('interests', 'Becoming a Christian');
+    body.append('interests', 'Prayer request');
+    const request = new Request('https://spencermillsopc.org/api/forms/visitor', { method: 'POST', body, headers: { Accept: 'application/json' } });
+
+    await handleFormPost(request, 'visitor', { forms, secret: SECRET, deliver, log });
+
+    assert.deepEqual(delivered[0].data.interests, ['Becoming a Christian', 'Prayer request']);
+    assert.equal(delivered[0].subject, 'Visitor card: Ruth Boaz');
+  });
+
+  it('answers invalid fields with a message per field', async () => {
+    const response = await handleFormPost(post('contact', { ...CONTACT, email: 'nope' }), 'contact', { forms, secret: SECRET, deliver, log });
+    const result = await response.json();
+
+    assert.equal(response.status, 422);
+    assert.deepEqual(Object.keys(result.errors), ['email']);
+    assert.equal(delivered.length, 0);
+  });
+
+  it('drops honeypot submissions while looking like it worked', async () => {
+    const response = await handleFormPost(post('contact', { ...CONTACT, website: 'cheap-pills.example' }), 'contact', { forms, secret: SECRET, deliver, log });
+
+    assert.equal(response.status, 200);
+    assert.equal(delivered.length, 0);
+  });
+
+  it('turns away forms sent too quickly', async () => {
+    const quick = await handleFormPost(post('contact', { ...CONTACT, _elapsed: '500' }), 'contact', { forms, secret: SECRET, deliver, log });
+
+    assert.equal(quick.status, 400);
+    assert.equal(delivered.length, 0);
+  });
+
+  it('times forms posted without JavaScript by their token', async () => {
+    const { _elapsed, ...withoutScript } = CONTACT;
+    const empty = await handleFormPost(post('contact', { ...withoutScript, _elapsed: '' }, { json: false }), 'contact', { forms, secret: SECRET, deliver, log });
+    const missing = await handleFormPost(post('contact', withoutScript, { json: false }), 'contact', { forms, secret: SECRET, deliver, log });
+    const justServed = await issueFormToken(SECRET, new Date(Date.now() - 1000));
+    const quick = await handleFormPost(post('contact', { ...withoutScript, _token: justServed }, { json: false }), 'contact', { forms, secret: SECRET, deliver, log });
+
+    assert.equal(empty.status, 200);
+    assert.equal(missing.status, 200);
+    assert.equal(quick.status, 400);
+    assert.match(await quick.text(), /too quick/);
+    assert.equal(delivered.length, 2);
+  });
+
+  it('turns away posts without a token, or with a forged or stale one', async () => {
+    const { _token, ...withoutToken } = CONTACT;
+    const forged = await issueFormToken('someone-else', new Date(Date.now() - 60 * 1000));
+    const stale = await issueFormToken(SECRET, new Date(Date.now() - TOKEN_MAX_AGE_MS - 1000));
+    const statuses = [];
+    for (const fields of [withoutToken, { ...CONTACT, _token: '' }, { ...CONTACT, _token: forged }, { ...CONTACT, _token: stale }]) {
+      statuses.push((await handleFormPost(post('contact', fields, { json: false }), 'contact', { forms, secret: SECRET, deliver, log })).status);
+    }
+
+    assert.deepEqual(statuses, [400, 400, 400, 400]);
+    assert.equal(delivered.length, 0);
+  });
+
+  it('refuses every post when there is no secret to check tokens with', async () => {
+    const response = await handleFormPost(post('contact', CONTACT), 'contact', { forms, deliver, log });
+
+    assert.equal(response.status, 500);
+    assert.equal(delivered.length, 0);
+  });
+
+  it('reports a delivery failure instead of claiming success', async () => {
+    const failing = async () => { throw new Error('Resend HTTP 500'); };
+    const response = await handleFormPost(post('contact', CONTACT), 'contact', { forms, secret: SECRET, deliver: failing, log });
+
+    assert.equal(response.status, 502);
+    assert.equal((await response.json()).ok, false);
+  });
+
+  it('knows only its own forms', async () => {
+    const response = await handleFormPost(post('toString', CONTACT), 'toString', { forms, secret: SECRET, deliver, log });
+
+    assert.equal(response.status, 404);
+  });
+
+  it('answers plain form posts with a page linking back to the form', async () => {
+    const response = await handleFormPost(post('contact', CONTACT, { json: false }), 'contact', { forms, secret: SECRET, deliver, log });
+    const html = await response.text();
+
+    assert.match(response.headers.get('content-type'), /text\/html/);
+    assert.match(html, /Thanks for getting in touch/);
+    assert.match(html, /href="\/contact\/"/);
+  });
+
+  it('never links back off the site', async () => {
+    const response = await handleFormPost(post('contact', { ...CONTACT, _page: '//evil.example/' }, { json: false }), 'contact', { forms, secret: SECRET, deliver, log });
+
+    assert.doesNotMatch(await response.text(), /evil/);
+  });
+});
+
+describe('renderForm', () => {
+  const html = renderForm('visitor', forms.visitor, { theme: 'dark', page: '/visitor/' });
+
+  it('posts to the form\'s endpoint with the page and spam fields', () => {
+    assert.match(html, /<form action="\/api\/forms\/visitor" method="POST" data-form="visitor"/);
+    assert.match(html, /name="_page" value="\/visitor\/"/);
+    assert.match(html, /name="_elapsed"/);
+    assert.match(html, /<input type="hidden" name="_token" value="">/);
+    assert.match(html, /name="website" tabindex="-1"/);
+  });
+
+  it('labels every field and ties it to its error message', () => {
+    assert.match(html, /<label for="visitor-email"[^>]*>Email <span class="text-spruce">\*<\/span><\/label>/);
+    assert.match(html, /<input type="email" id="visitor-email" name="email" required [^>]*aria-describedby="visitor-email-error"/);
+    assert.match(html, /<p id="visitor-email-error" class="hidden [^"]*" data-field-error><\/p>/);
+    assert.match(html, /data-invalid-message="Enter a valid email address\."/);
+  });
+
+  it('renders checkbox groups as a fieldset with a legend', () => {
+    assert.match(html, /<fieldset class="md:col-span-2" aria-describedby="visitor-interests-error" data-field="interests" data-group="checkbox"/);
+    assert.match(html, /<legend[^>]*>I am interested in<\/legend>/);
+    assert.equal(html.match(/name="interests"/g).length, forms.visitor.fields.find((f) => f.name === 'interests').options.length);
+  });
+
+  it('escapes text from the definitions', () => {
+    const form = { fields: [{ name: 'q', label: 'Q & "A"', placeholder: '<b>' }] };
+
+    assert.match(renderForm('test', form), /Q &amp; &quot;A&quot;/);
+    assert.match(renderForm('test', form), /placeholder="&lt;b&gt;"/);
+  });
+
+  it('fails the build on a mistyped field', () => {
+    assert.throws(() => renderForm('test', { fields: [{ name: 'q', label: 'Q', type: 'number' }] }), /unknown type "number"/);
+    assert.throws(() => renderForm('missing', undefined), /No form "missing"/);
+  });
+});
+
+describe('prayer requests', () => {
+  const PRAYER = {
+    request: 'For my mother, in hospital this week.',
+    share: 'elders',
+    identity: 'named',
+    name: 'Ruth Boaz',
+    email: 'ruth@example.org',
+    consent: 'yes',
+    _page: '/prayer/',
+    _elapsed: '30000',
+    _token: TOKEN
+  };
+  const log = { warn() {}, error() {} };
+  let delivered;
+  const deliver = async (submission) => { delivered.push(submission); };
+
+  // Workers KV get/put, in memory
+  function memoryStore() {
+    const entries = new Map();
+    return {
+      entries,
+      async get(key) { return entries.get(key) ?? null; },
+      async put(key, value) { entries.set(key, value); }
+    };
+  }
+
+  function postFrom(ip, fields) {
+    const request = post('prayer', fields);
+    request.headers.set('cf-connecting-ip', ip);
+    return request;
+  }
+
+  beforeEach(() => {
+    delivered = [];
+  });
+
+  it('routes by who may read it and is never stored', async () => {
+    await handleFormPost(post('prayer', PRAYER), 'prayer', { forms, secret: SECRET, deliver, log });
+    await handleFormPost(post('prayer', { ...PRAYER, share: 'congregation' }), 'prayer', { forms, secret: SECRET, deliver, log });
+
+    assert.deepEqual(delivered.map((s) => s.destination), ['elders', 'prayer-chain']);
+    assert.deepEqual(delivered.map((s) => s.subject), ['Prayer request (The elders only)', 'Prayer request (Share with the congregation)']);
+    assert.ok(delivered.every((s) => s.store === false));
+  });
+
+  it('leaves out the name and email of anonymous requests, even if sent', async () => {
+    const response = await handleFormPost(post('prayer', { ...PRAYER, identity: 'anonymous', name: '' }), 'prayer', { forms, secret: SECRET, deliver, log });
+    const [submission] = delivered;
+
+    assert.equal(response.status, 200);
+    assert.ok(!('name' in submission.data) && !('email' in submission.data));
+    assert.equal(submission.replyTo, '');
+    assert.doesNotMatch(submission.text, /Ruth/);
+    assert.match(submission.text, /Your name: Send it anonymously/);
+  });
+
+  it('needs a name when one is to be given, and consent', async () => {
+    const response = await handleFormPost(post('prayer', { ...PRAYER, name: '', consent: '' }), 'prayer', { forms, secret: SECRET, deliver, log });
+
+    assert.deepEqual(Object.keys((await response.json()).errors), ['name', 'consent']);
+  });
+
+  it('limits how often one visitor can send it', async () => {
+    const rateLimit = createRateLimiter(memoryStore());
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+      statuses.push((await handleFormPost(postFrom('203.0.113.7', PRAYER), 'prayer', { forms, secret: SECRET, deliver, rateLimit, log })).status);
+    }
+    const other = await handleFormPost(postFrom('198.51.100.2', PRAYER), 'prayer', { forms, secret: SECRET, deliver, rateLimit, log });
+
+    assert.deepEqual(statuses, [200, 200, 200, 429]);
+    assert.equal(other.status, 200);
+    assert.equal(delivered.length, 4);
+  });
+
+  it('lets a visitor send again once the window has passed, without keeping their address', async () => {
+    const store = memoryStore();
+    let time = Date.parse('2026-10-19T12:00:00Z');
+    const limiter = createRateLimiter(store, { now: () => time });
+    const limit = { max: 1, minutes: 60 };
+
+    assert.equal(await limiter('prayer', '203.0.113.7', limit), true);
+    assert.equal(await limiter('prayer', '203.0.113.7', limit), false);
+    time += 61 * 60 * 1000;
+    assert.equal(await limiter('prayer', '203.0.113.7', limit), true);
+    assert.ok([...store.entries.keys()].every((key) => /^rate\/prayer\/[0-9a-f]{64}$/.test(key)));
+  });
+
+  describe('through the Pages Function', () => {
+    const EMAIL = { FORM_SECRET: SECRET, RESEND_API_KEY: 're_test', FORM_EMAIL_FROM: 'forms@spencermillsopc.org', FORM_EMAIL_TO: 'office@spencermillsopc.org' };
+    let sent;
+
+    beforeEach(() => {
+      sent = [];
+      mock.method(console, 'error', () => {});
+      mock.method(globalThis, 'fetch', async (url, init) => {
+        sent.push(JSON.parse(init.body).to);
+        return new Response('{}');
+      });
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    it('sends each choice only to its own recipients', async () => {
+      const env = { ...EMAIL, FORM_EMAIL_TO_ELDERS: 'elders@spencermillsopc.org', FORM_EMAIL_TO_PRAYER_CHAIN: 'prayer@spencermillsopc.org' };
+      await onRequestPost({ request: post('prayer', PRAYER), params: { form: 'prayer' }, env });
+      await onRequestPost({ request: post('prayer', { ...PRAYER, share: 'congregation' }), params: { form: 'prayer' }, env });
+
+      assert.deepEqual(sent, [['elders@spencermillsopc.org'], ['prayer@spencermillsopc.org']]);
+    });
+
+    it('never falls back to FORM_EMAIL_TO when a choice has no recipients', async () => {
+      const env = { ...EMAIL, FORM_EMAIL_TO_PRAYER_CHAIN: 'prayer@spencermillsopc.org' };
+      const response = await onRequestPost({ request: post('prayer', PRAYER), params: { form: 'prayer' }, env });
+
+      assert.equal(response.status, 500);
+      assert.equal((await response.json()).ok, false);
+      assert.deepEqual(sent, []);
+      assert.match(console.error.mock.calls[0].arguments[0], /FORM_EMAIL_TO_ELDERS is not set/);
+    });
+
+    it('rejects a post that leaves out the token', async () => {
+      const { _token, ...withoutToken } = CONTACT;
+      const response = await onRequestPost({ request: post('contact', withoutToken), params: { form: 'contact' }, env: EMAIL });
+
+      assert.equal(response.status, 400);
+      assert.deepEqual(sent, []);
+    });
+
+    it('refuses posts until FORM_SECRET is set', async () => {
+      const { FORM_SECRET, ...withoutSecret } = EMAIL;
+      const response = await onRequestPost({ request: post('contact', CONTACT), params: { form: 'contact' }, env: withoutSecret });
+
+      assert.equal(response.status, 500);
+      assert.deepEqual(sent, []);
+      assert.match(console.error.mock.calls[0].arguments[0], /FORM_SECRET is not set/);
+    });
+
+    it('still sends other forms to FORM_EMAIL_TO', async () => {
+      const response = await onRequestPost({ request: post('contact', CONTACT), params: { form: 'contact' }, env: EMAIL });
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(sent, [['office@spencermillsopc.org']]);
+    });
+  });
+
+  it('renders the name fields hidden and disabled until they apply', () => {
+    const html = renderForm('prayer', { ...forms.prayer, fields: forms.prayer.fields.map((f) => (f.name === 'identity' ? { ...f, default: 'anonymous' } : f)) });
+    const shown = renderForm('prayer', forms.prayer, { theme: 'dark' });
+
+    assert.match(html, /<div class="md:col-span-1 hidden" data-only-if="\{&quot;identity&quot;:&quot;named&quot;\}">/);
+    assert.match(html, /id="prayer-name" name="name" required disabled/);
+    assert.match(shown, /<div class="md:col-span-1" data-only-if=/);
+    assert.match(shown, /value="elders" checked required/);
+    assert.match(shown, /<p id="prayer-consent-hint"[^>]*>Requests for the elders only are read by the pastor and elders/);
+    assert.match(shown, /aria-describedby="prayer-consent-hint prayer-consent-error"/);
+  });
+});
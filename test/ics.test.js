@@ -0,0 +1,143 @@
+/**
+ * Calendar export tests (lib/ics.js)
+ *
+ * Occurrences come from test/fixtures/export.ics through lib/calendar.js,
+ * as on the site, and the exported text is read back with node-ical.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import ical from 'node-ical';
+import { expandEvents } from '../lib/calendar.js';
+import { filterICS, googleCalendarUrl, outlookCalendarUrl, toICS } from '../lib/ics.js';
+
+const SITE_URL = 'https://spencermillsopc.org';
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+function readFixture(name) {
+  return readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+}
+
+function loadEvents() {
+  const text = readFixture('export.ics');
+  const events = expandEvents(ical.sync.parseICS(text), new Date('2026-11-01T00:00:00Z'), new Date('2026-12-01T00:00:00Z'));
+  for (const event of events) event.url = `/events/${event.dateKey}-test/`;
+  return events;
+}
+
+function find(events, title) {
+  return events.find((e) => e.title.startsWith(title));
+}
+
+function readBack(text) {
+  return Object.values(ical.sync.parseICS(text)).filter((c) => c.type === 'VEVENT');
+}
+
+describe('public events', () => {
+  it('treats events without a CLASS as public and CLASS:PRIVATE as not', () => {
+    const events = loadEvents();
+
+    assert.equal(find(events, 'Hymn Sing').isPublic, true);
+    assert.equal(find(events, 'Fellowship Potluck').isPublic, true);
+    assert.equal(find(events, 'Session Meeting').isPublic, false);
+  });
+});
+
+describe('toICS', () => {
+  it('writes a calendar that reads back with the same times and text', () => {
+    const hymnSing = find(loadEvents(), 'Hymn Sing');
+    const [copy] = readBack(toICS(hymnSing, { siteUrl: SITE_URL, now: NOW }));
+
+    assert.equal(copy.summary, 'Hymn Sing; Psalms, Hymns & Spiritual Songs');
+    assert.equal(copy.location, 'Fellowship Hall, 12710 17 Mile Rd NE, Gowen, MI');
+    assert.equal(copy.start.toISOString(), '2026-11-15T23:00:00.000Z');
+    assert.equal(copy.end.toISOString(), '2026-11-16T00:30:00.000Z');
+    assert.match(copy.description, /^Bring a friend!\nCoffee and dessert/);
+    assert.match(copy.description, /https:\/\/spencermillsopc\.org\/events\/2026-11-15-test\/$/);
+  });
+
+  it('escapes text values and uses CRLF line endings', () => {
+    const text = toICS(find(loadEvents(), 'Hymn Sing'), { siteUrl: SITE_URL, now: NOW });
+
+    assert.ok(text.includes('SUMMARY:Hymn Sing\\; Psalms\\, Hymns & Spiritual Songs\r\n'));
+    assert.ok(text.includes('DTSTART:20261115T230000Z\r\n'));
+    assert.ok(text.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(!/[^\r]\n/.test(text));
+  });
+
+  it('folds long lines at 75 bytes without splitting characters', () => {
+    const text = toICS(find(loadEvents(), 'Hymn Sing'), { siteUrl: SITE_URL, now: NOW });
+    const lines = text.split('\r\n');
+
+    lines.forEach((line) => assert.ok(Buffer.byteLength(line) <= 75, line));
+    assert.ok(lines.some((line) => line.startsWith(' ')));
+    assert.ok(text.replace(/\r\n /g, '').includes('hall — everyone welcome.'));
+  });
+
+  it('writes all-day events as dates with an exclusive end', () => {
+    const text = toICS(find(loadEvents(), 'Fellowship Potluck'), { siteUrl: SITE_URL, now: NOW });
+
+    assert.ok(text.includes('DTSTART;VALUE=DATE:20261122\r\n'));
+    assert.ok(text.includes('DTEND;VALUE=DATE:20261123\r\n'));
+  });
+
+  it('names a subscribable calendar and gives each occurrence its own UID', () => {
+    const events = loadEvents();
+    const text = toICS(events, { siteUrl: SITE_URL, name: 'Spencer Mills OPC', now: NOW });
+    const copies = readBack(text);
+
+    assert.ok(text.includes('X-WR-CALNAME:Spencer Mills OPC\r\n'));
+    assert.equal(copies.length, events.length);
+    assert.equal(new Set(copies.map((c) => c.uid)).size, events.length);
+    assert.ok(copies.every((c) => c.uid.endsWith('@spencermillsopc.org')));
+  });
+});
+
+describe('add to calendar links', () => {
+  it('builds a Google Calendar link in UTC', () => {
+    const url = new URL(googleCalendarUrl(find(loadEvents(), 'Hymn Sing'), SITE_URL));
+
+    assert.equal(url.hostname, 'calendar.google.com');
+    assert.equal(url.searchParams.get('text'), 'Hymn Sing; Psalms, Hymns & Spiritual Songs');
+    assert.equal(url.searchParams.get('dates'), '20261115T230000Z/20261116T003000Z');
+    assert.equal(url.searchParams.get('location'), 'Fellowship Hall, 12710 17 Mile Rd NE, Gowen, MI');
+  });
+
+  it('gives all-day events date-only ranges', () => {
+    const potluck = find(loadEvents(), 'Fellowship Potluck');
+    const google = new URL(googleCalendarUrl(potluck, SITE_URL));
+    const outlook = new URL(outlookCalendarUrl(potluck, SITE_URL));
+
+    assert.equal(google.searchParams.get('dates'), '20261122/20261123');
+    assert.equal(outlook.searchParams.get('startdt'), '2026-11-22');
+    assert.equal(outlook.searchParams.get('enddt'), '2026-11-23');
+    assert.equal(outlook.searchParams.get('allday'), 'true');
+  });
+
+  it('builds an Outlook link with ISO times', () => {
+    const url = new URL(outlookCalendarUrl(find(loadEvents(), 'Hymn Sing'), SITE_URL));
+
+    assert.equal(url.hostname, 'outlook.live.com');
+    assert.equal(url.searchParams.get('subject'), 'Hymn Sing; Psalms, Hymns & Spiritual Songs');
+    assert.equal(url.searchParams.get('startdt'), '2026-11-15T23:00:00.000Z');
+    assert.equal(url.searchParams.get('enddt'), '2026-11-16T00:30:00.000Z');
+  });
+});
+
+describe('filterICS', () => {
+  it('drops whole events and leaves everything else byte for byte', () => {
+    const text = readFixture('export.ics');
+    const filtered = filterICS(text, (event) => event.class !== 'PRIVATE');
+
+    assert.ok(!filtered.includes('Session Meeting'));
+    assert.equal(filtered, text.replace(/BEGIN:VEVENT\nUID:session@example\.org[\s\S]*?END:VEVENT\n/, ''));
+  });
+
+  it("takes a recurring event's overrides with it", () => {
+    const filtered = filterICS(readFixture('overrides.ics'), (event) => event.summary !== 'Evening Worship');
+
+    assert.ok(!filtered.includes('hymn sing'));
+    assert.ok(!filtered.includes('BEGIN:VEVENT'));
+  });
+});
@@ -0,0 +1,445 @@
+/**
+ * Image pipeline tests (lib/images.js)
+ *
+ * The pipeline tests use a stand-in for eleventy-img that writes empty
+ * files, so nothing is actually resized; crops and placeholders are made
+ * from a small generated JPEG.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import {
+  createImagePipeline,
+  createPlaceholder,
+  cropBox,
+  formatBytes,
+  hashFile,
+  mapLimit,
+  openManifest,
+  optimizedSize,
+  parseCrop,
+  parseFocus,
+  pictureHtml,
+  resolveImageSource,
+  shouldSkipImage,
+  sizeReport
+} from '../lib/images.js';
+
+function images(format, sourceType, sizes) {
+  return [400, 800].map((width, i) => ({
+    format,
+    sourceType,
+    width,
+    height: width / 2,
+    size: sizes[i],
+    url: `/assets/images/optimized/photo-${width}w.${format}`,
+    srcset: `/assets/images/optimized/photo-${width}w.${format} ${width}w`,
+    outputPath: `_site/assets/images/optimized/photo-${width}w.${format}`
+  }));
+}
+
+const metadata = {
+  avif: images('avif', 'image/avif', [10, 30]),
+  webp: images('webp', 'image/webp', [15, 45]),
+  jpeg: images('jpeg', 'image/jpeg', [40, 120])
+};
+
+let tmp;
+
+// A width × height JPEG: one color on the left half, another on the right
+function photo(width, height, left = '#336699', right = '#cc9933') {
+  return sharp({ create: { width, height, channels: 3, background: left } })
+    .composite([{ input: { create: { width: width / 2, height, channels: 3, background: right } }, left: width / 2, top: 0 }])
+    .jpeg()
+    .toBuffer();
+}
+
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'images-test-'));
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+describe('shouldSkipImage', () => {
+  it('leaves logos, icons, SVGs and small images alone', () => {
+    assert.equal(shouldSkipImage('/assets/images/logos/Logo.png'), true);
+    assert.equal(shouldSkipImage('/assets/favicon/favicon-32.png'), true);
+    assert.equal(shouldSkipImage('/assets/images/map.svg?v=1'), true);
+    assert.equal(shouldSkipImage('/assets/images/avatar.jpg', { width: 64, height: 64 }), true);
+    assert.equal(shouldSkipImage('/assets/images/Leadership_Ken.jpg', { width: 800 }), false);
+  });
+
+  it('knows logos and icons by their folder or file name, not a word in the name', () => {
+    assert.equal(shouldSkipImage('/assets/icons/play.png'), true);
+    assert.equal(shouldSkipImage('/favicon.ico'), true);
+    assert.equal(shouldSkipImage('/apple-touch-icon.png?v=2'), true);
+    assert.equal(shouldSkipImage('/assets/images/iconic-view.jpg'), false);
+    assert.equal(shouldSkipImage('/assets/images/logo-workshop.jpg'), false);
+    assert.equal(shouldSkipImage('/assets/images/favicons-of-the-month.png'), false);
+  });
+
+  it('leaves images on other sites and inline images alone', () => {
+    assert.equal(shouldSkipImage('https://img.youtube.com/vi/x/hqdefault.jpg'), true);
+    assert.equal(shouldSkipImage('//cdn.example.com/photo.jpg'), true);
+    assert.equal(shouldSkipImage('data:image/png;base64,AAAA'), true);
+  });
+});
+
+describe('resolveImageSource', () => {
+  it('looks up site paths in the input directory', () => {
+    assert.equal(resolveImageSource('/assets/images/a.jpg?v=2', { inputDir: './src/' }), path.join('src', 'assets/images/a.jpg'));
+  });
+
+  it('resolves relative paths from the template', () => {
+    assert.equal(resolveImageSource('photo%20one.jpg', { inputPath: './src/about/index.liquid' }), path.join('src/about', 'photo one.jpg'));
+  });
+});
+
+describe('mapLimit', () => {
+  it('never runs more than the limit at once and keeps the order', async () => {
+    let running = 0;
+    let most = 0;
+    const results = await mapLimit([5, 1, 3, 2, 4], 2, async (n) => {
+      running++;
+      most = Math.max(most, running);
+      await new Promise((resolve) => setTimeout(resolve, n));
+      running--;
+      return n * 10;
+    });
+
+    assert.deepEqual(results, [50, 10, 30, 20, 40]);
+    assert.equal(most, 2);
+  });
+
+  it('handles an empty list', async () => {
+    assert.deepEqual(await mapLimit([], 4, async () => 1), []);
+  });
+});
+
+describe('openManifest', () => {
+  it('reuses an entry only while the hash, options and outputs match', async () => {
+    const file = path.join(tmp, 'manifest', 'images.json');
+    const source = path.join(tmp, 'photo.jpg');
+    const output = path.join(tmp, 'photo-400w.jpeg');
+    await fs.writeFile(source, 'original');
+    await fs.writeFile(output, 'resized');
+    const hash = await hashFile(source);
+    const stored = { metadata: { jpeg: [{ ...metadata.jpeg[0], outputPath: output }] }, placeholder: null };
+
+    const first = await openManifest(file);
+    assert.equal(await first.lookup(source, hash, 'opts'), null);
+    first.set(source, hash, 'opts', stored);
+    await first.save();
+
+    const second = await openManifest(file);
+    assert.deepEqual(await second.lookup(source, hash, 'opts'), stored);
+    assert.equal(await second.lookup(source, hash, 'other opts'), null);
+
+    await fs.writeFile(source, 'edited');
+    assert.equal(await second.lookup(source, await hashFile(source), 'opts'), null);
+
+    await fs.rm(output);
+    assert.equal(await second.lookup(source, hash, 'opts'), null);
+  });
+
+  it('forgets images whose source has been deleted', async () => {
+    const file = path.join(tmp, 'pruned.json');
+    const kept = path.join(tmp, 'kept.jpg');
+    const deleted = path.join(tmp, 'deleted.jpg');
+    await fs.writeFile(kept, 'kept');
+    await fs.writeFile(deleted, 'deleted');
+
+    const manifest = await openManifest(file);
+    manifest.set(kept, await hashFile(kept), 'opts', { metadata: {}, placeholder: null });
+    manifest.set(deleted, await hashFile(deleted), 'opts', { metadata: {}, placeholder: null });
+    await fs.rm(deleted);
+    await manifest.save();
+
+    const { images: saved } = JSON.parse(await fs.readFile(file, 'utf8'));
+    assert.deepEqual(Object.keys(saved), [kept]);
+  });
+
+  it('starts empty when the manifest is missing or unreadable', async () => {
+    const file = path.join(tmp, 'broken.json');
+    await fs.writeFile(file, '{not json');
+    assert.equal(await (await openManifest(file)).lookup('a.jpg', 'hash', 'opts'), null);
+  });
+});
+
+describe('pictureHtml', () => {
+  it('offers modern formats first with the original as the fallback', () => {
+    const html = pictureHtml(metadata, { src: '/img/photo.jpg', alt: 'Church' });
+    assert.match(html, /^<picture>\n  <source type="image\/avif" srcset="[^"]+400w, [^"]+800w" sizes="100vw">\n  <source type="image\/webp"/);
+    assert.match(html, /<img alt="Church" src="\/assets\/images\/optimized\/photo-800w.jpeg" srcset="[^"]+jpeg 400w, [^"]+jpeg 800w" sizes="100vw" width="800" height="400" loading="lazy" decoding="async">/);
+  });
+
+  it('keeps the original attributes', () => {
+    const html = pictureHtml(metadata, {
+      src: '/img/photo.jpg',
+      alt: 'Pastor "Ken" & family',
+      class: 'w-full',
+      id: 'hero',
+      loading: 'eager',
+      decoding: 'sync',
+      fetchpriority: 'high',
+      sizes: '(min-width: 768px) 50vw, 100vw',
+      width: '10',
+      'data-lightbox': 'gallery'
+    });
+
+    assert.match(html, /alt="Pastor &quot;Ken&quot; &amp; family"/);
+    assert.match(html, /class="w-full"/);
+    assert.match(html, /id="hero"/);
+    assert.match(html, /loading="eager"/);
+    assert.match(html, /decoding="sync"/);
+    assert.match(html, /fetchpriority="high"/);
+    assert.match(html, /data-lightbox="gallery"/);
+    assert.match(html, /<source type="image\/avif" [^>]*sizes="\(min-width: 768px\) 50vw, 100vw"/);
+    assert.match(html, /width="800"/);
+    assert.doesNotMatch(html, /img\/photo.jpg|width="10"/);
+  });
+
+  it('offers other crops for wider screens first', () => {
+    const wide = Object.fromEntries(Object.entries(metadata).map(([format, list]) =>
+      [format, list.map((img) => ({ ...img, srcset: img.srcset.replace('photo-', 'photo-16x9-') }))]));
+    const html = pictureHtml(metadata, { src: '/img/photo.jpg' }, { artDirection: [{ minWidth: 768, metadata: wide }] });
+    const tags = html.match(/<source [^>]+>/g);
+
+    assert.equal(tags.length, 5);
+    assert.match(tags[0], /^<source media="\(min-width: 768px\)" type="image\/avif" srcset="[^"]+photo-16x9-400w.avif/);
+    assert.match(tags[2], /^<source media="\(min-width: 768px\)" type="image\/jpeg"/);
+    assert.match(tags[3], /^<source type="image\/avif" srcset="[^"]+photo-400w.avif/);
+  });
+
+  it('shows the placeholder behind the image and points object-position at the focus', () => {
+    const placeholder = { color: '#336699', blur: 'data:image/svg+xml,%3Csvg%3E' };
+    const html = pictureHtml(metadata, { src: '/img/photo.jpg', style: 'opacity: 0.9', 'data-focus': '30% 20%' }, { placeholder, focus: { x: 30, y: 20 } });
+
+    assert.match(html, /style="background: #336699 url\(&quot;data:image\/svg\+xml,%3Csvg%3E&quot;\) 30% 20% \/ cover no-repeat; object-position: 30% 20%; opacity: 0.9"/);
+    assert.doesNotMatch(html, /data-focus/);
+    assert.match(pictureHtml(metadata, {}, { placeholder, blur: false }), /style="background-color: #336699"/);
+  });
+
+  it('adds an empty alt when the original has none', () => {
+    assert.match(pictureHtml(metadata, { src: '/img/photo.jpg' }), /<img alt=""/);
+  });
+});
+
+describe('parseCrop', () => {
+  it('reads presets and ratios, widest breakpoint first', () => {
+    assert.deepEqual(parseCrop('portrait md:wide xl:3:1'), [
+      { minWidth: 1280, ratio: [3, 1] },
+      { minWidth: 768, ratio: [16, 9] },
+      { minWidth: 0, ratio: [4, 5] }
+    ]);
+    assert.deepEqual(parseCrop('square'), [{ minWidth: 0, ratio: [1, 1] }]);
+  });
+
+  it('keeps the whole image below the first breakpoint unless told otherwise', () => {
+    assert.deepEqual(parseCrop('lg:wide'), [{ minWidth: 1024, ratio: [16, 9] }, { minWidth: 0, ratio: null }]);
+    assert.deepEqual(parseCrop(undefined), [{ minWidth: 0, ratio: null }]);
+  });
+
+  it('rejects crops it does not know', () => {
+    assert.throws(() => parseCrop('tall'), /Unknown crop "tall"/);
+    assert.throws(() => parseCrop('xxl:wide'), /Unknown crop/);
+    assert.throws(() => parseCrop('0:1'), /Unknown crop/);
+    assert.throws(() => parseCrop('md:wide md:square'), /more than one crop/);
+  });
+});
+
+describe('parseFocus', () => {
+  it('reads percentages and keywords as object-position does', () => {
+    assert.equal(parseFocus(''), null);
+    assert.deepEqual(parseFocus('30% 20%'), { x: 30, y: 20 });
+    assert.deepEqual(parseFocus('top'), { x: 50, y: 0 });
+    assert.deepEqual(parseFocus('right'), { x: 100, y: 50 });
+    assert.deepEqual(parseFocus('top left'), { x: 0, y: 0 });
+    assert.deepEqual(parseFocus('center 25%'), { x: 50, y: 25 });
+  });
+
+  it('rejects anything else', () => {
+    assert.throws(() => parseFocus('50px 20px'), /Unknown focus/);
+    assert.throws(() => parseFocus('150% 0%'), /Unknown focus/);
+    assert.throws(() => parseFocus('1% 2% 3%'), /Unknown focus/);
+  });
+});
+
+describe('cropBox', () => {
+  it('takes the largest region of the ratio, centered by default', () => {
+    assert.deepEqual(cropBox(1600, 900, [1, 1]), { left: 350, top: 0, width: 900, height: 900 });
+    assert.deepEqual(cropBox(1000, 1000, [16, 9]), { left: 0, top: 219, width: 1000, height: 563 });
+  });
+
+  it('centers on the focal point as far as the edges allow', () => {
+    assert.deepEqual(cropBox(1600, 900, [1, 1], { x: 25, y: 50 }), { left: 0, top: 0, width: 900, height: 900 });
+    assert.deepEqual(cropBox(1600, 900, [1, 1], { x: 60, y: 50 }), { left: 510, top: 0, width: 900, height: 900 });
+    assert.deepEqual(cropBox(1000, 1000, [16, 9], { x: 50, y: 100 }), { left: 0, top: 437, width: 1000, height: 563 });
+  });
+});
+
+describe('createPlaceholder', () => {
+  it('gives the dominant color and a small blurred SVG', async () => {
+    const placeholder = await createPlaceholder(await photo(400, 200, '#336699', '#336699'));
+    assert.match(placeholder.color, /^#[0-9a-f]{6}$/);
+    assert.match(placeholder.blur, /^data:image\/svg\+xml,%3Csvg/);
+    assert.match(decodeURIComponent(placeholder.blur), /viewBox="0 0 16 8".*feGaussianBlur.*href="data:image\/webp;base64,/);
+    assert.ok(placeholder.blur.length < 1500);
+  });
+
+  it('skips images with transparency', async () => {
+    const png = await sharp({ create: { width: 40, height: 40, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0.5 } } }).png().toBuffer();
+    assert.equal(await createPlaceholder(png), null);
+  });
+});
+
+describe('size report', () => {
+  it('counts the largest file in the most compact format', () => {
+    assert.equal(optimizedSize(metadata), 30);
+  });
+
+  it('formats byte counts', () => {
+    assert.equal(formatBytes(512), '512 B');
+    assert.equal(formatBytes(2048), '2 KB');
+    assert.equal(formatBytes(3.6 * 1024 * 1024), '3.6 MB');
+  });
+
+  it('lists pages with optimized images, then the total', () => {
+    const lines = sizeReport([
+      { page: '/visit/', images: 1, before: 1024 * 1024, after: 100 * 1024 },
+      { page: '/', images: 2, before: 2 * 1024 * 1024, after: 412 * 1024 },
+      { page: '/contact/', images: 0, before: 0, after: 0 }
+    ]);
+
+    assert.equal(lines.length, 3);
+    assert.match(lines[0], /^\/\s+2 img\s+2.0 MB →\s+412 KB\s+\(-80%\)$/);
+    assert.match(lines[1], /^\/visit\/\s+1 img\s+1.0 MB →\s+100 KB\s+\(-90%\)$/);
+    assert.match(lines[2], /^Total\s+3 img\s+3.0 MB →\s+512 KB\s+\(-83%\)$/);
+  });
+});
+
+describe('createImagePipeline', () => {
+  let inputDir;
+  let outputDir;
+
+  // Stands in for eleventy-img: "resizes" to every width in every format
+  function fakeImage(calls) {
+    return async (source, options) => {
+      calls.push(Buffer.isBuffer(source) ? await sharp(source).metadata() : source);
+      const formats = { avif: 'image/avif', webp: 'image/webp', jpeg: 'image/jpeg' };
+      const result = {};
+      await fs.mkdir(options.outputDir, { recursive: true });
+      for (const [format, sourceType] of Object.entries(formats)) {
+        result[format] = [];
+        for (const width of options.widths) {
+          const filename = options.filenameFormat('id', source, width, format);
+          const outputPath = path.join(options.outputDir, filename);
+          await fs.writeFile(outputPath, '');
+          const url = options.urlPath + filename;
+          result[format].push({ format, sourceType, width, height: width, size: width / 100, url, srcset: `${url} ${width}w`, outputPath });
+        }
+      }
+      return result;
+    };
+  }
+
+  function pipeline(calls, manifestFile, log = { warn() {} }) {
+    return openManifest(manifestFile).then((manifest) => createImagePipeline({
+      manifest, inputDir, outputDir, concurrency: 2, process: fakeImage(calls), log
+    }));
+  }
+
+  before(async () => {
+    inputDir = path.join(tmp, 'src');
+    outputDir = path.join(tmp, '_site');
+    await fs.mkdir(path.join(inputDir, 'assets/images'), { recursive: true });
+    await fs.writeFile(path.join(inputDir, 'assets/images/photo.jpg'), await photo(400, 200));
+  });
+
+  it('turns plain images into pictures and leaves the rest alone', async () => {
+    const images = await pipeline([], path.join(tmp, 'pipeline-1.json'));
+    const html = await images.transformHtml(
+      '<html><body>' +
+      '<img src="/assets/images/photo.jpg" alt="Photo" class="w-full" decoding="sync" data-index="2">' +
+      '<img src="/assets/images/logos/Logo.png" alt="Logo">' +
+      '<picture><img src="/assets/images/optimized/photo-400w.jpeg" alt="Done"></picture>' +
+      '</body></html>',
+      { page: '/about/' }
+    );
+
+    assert.match(html, /<picture>\n  <source type="image\/avif" srcset="\/assets\/images\/optimized\/photo-400w.avif 400w/);
+    assert.match(html, /<img alt="Photo" class="w-full" decoding="sync" data-index="2" src="\/assets\/images\/optimized\/photo-1600w.jpeg"[^>]* loading="lazy" style="background: #[0-9a-f]{6} url\(&quot;data:image\/svg\+xml,[^"]+&quot;\) center \/ cover no-repeat">/);
+    assert.match(html, /<img src="\/assets\/images\/logos\/Logo.png" alt="Logo">/);
+    assert.match(html, /<picture><img src="\/assets\/images\/optimized\/photo-400w.jpeg" alt="Done"><\/picture>/);
+  });
+
+  it('processes each image once and reuses it on the next build', async () => {
+    const manifestFile = path.join(tmp, 'pipeline-2.json');
+    const calls = [];
+    const first = await pipeline(calls, manifestFile);
+    const page = '<p><img src="/assets/images/photo.jpg" alt="Photo"></p>';
+    await Promise.all([
+      first.transformHtml(page, { page: '/' }),
+      first.transformHtml(page, { page: '/visit/' }),
+      first.pictureFor('/assets/images/photo.jpg', { alt: 'Photo' }, { page: '/visit/' })
+    ]);
+    await first.save();
+    assert.equal(calls.length, 1);
+
+    const { size } = await fs.stat(path.join(inputDir, 'assets/images/photo.jpg'));
+    const report = first.report();
+    assert.match(report[0], new RegExp(`^/\\s+1 img\\s+${size} B →\\s+16 B`));
+    assert.match(report[1], /^\/visit\/\s+2 img/);
+    assert.match(report[2], /^Total\s+3 img/);
+
+    const second = await pipeline(calls, manifestFile);
+    assert.match(await second.transformHtml(page, { page: '/' }), /<picture>/);
+    assert.equal(calls.length, 1);
+
+    await fs.writeFile(path.join(inputDir, 'assets/images/photo.jpg'), await photo(400, 200, '#000000'));
+    const third = await pipeline(calls, manifestFile);
+    await third.transformHtml(page, { page: '/' });
+    assert.equal(calls.length, 2);
+  });
+
+  it('crops for each breakpoint around the focal point', async () => {
+    const calls = [];
+    const images = await pipeline(calls, path.join(tmp, 'pipeline-4.json'));
+    const html = await images.transformHtml(
+      '<img src="/assets/images/photo.jpg" alt="Photo" data-crop="square md:wide" data-focus="75% 50%" data-placeholder="color">',
+      { page: '/' }
+    );
+
+    assert.deepEqual(calls.map(({ width, height }) => [width, height]).sort(), [[200, 200], [356, 200]]);
+    assert.match(html, /<source media="\(min-width: 768px\)" type="image\/avif" srcset="\/assets\/images\/optimized\/photo-16x9-75-50-400w.avif 400w/);
+    assert.match(html, /<source type="image\/avif" srcset="\/assets\/images\/optimized\/photo-1x1-75-50-400w.avif 400w/);
+    // Square crop from the right half, so the right half's color
+    const [, red, , blue] = /style="background-color: #(..)(..)(..); object-position: 75% 50%"/.exec(html);
+    assert.ok(parseInt(red, 16) > 0xb0 && parseInt(blue, 16) < 0x60);
+    assert.doesNotMatch(html, /data-crop|data-placeholder/);
+  });
+
+  it('stops the build on a crop it does not know', async () => {
+    const images = await pipeline([], path.join(tmp, 'pipeline-5.json'));
+    await assert.rejects(images.transformHtml('<img src="/assets/images/photo.jpg" data-crop="tall">'), /Unknown crop "tall"/);
+    await assert.rejects(images.transformHtml('<img src="/assets/images/photo.jpg" data-placeholder="fade">'), /Unknown placeholder "fade"/);
+  });
+
+  it('leaves images it cannot find as they are', async () => {
+    const warnings = [];
+    const images = await pipeline([], path.join(tmp, 'pipeline-3.json'), { warn: (message) => warnings.push(message) });
+    const page = '<p><img src="/assets/images/missing.jpg" alt="Missing"></p>';
+
+    assert.equal(await images.transformHtml(page, { page: '/' }), page);
+    assert.equal(await images.pictureFor('/assets/images/missing.jpg', { alt: 'Missing' }), null);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /Source image not found/);
+    assert.deepEqual(images.report(), []);
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Archive search tests (lib/sermon-search.js)
+ *
+ * The index is built the way buildSearchIndex in src/_data/sermons.js
+ * writes it, from a handful of sermons whose scores are easy to reason about.
+ * Passages are [book index, start chapter, start verse, end chapter, end verse].
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSearchIndex, editDistance, excerpt, passageSearch, tokenize } from '../lib/sermon-search.js';
+import { BIBLE_BOOKS, BOOKS_BY_OSIS, VERSE_COUNTS } from '../lib/sermons.js';
+
+const SERMONS = [
+  ['the-good-shepherd', 'The Good Shepherd', 'John 10:1-18', 'Rev. Smith', 'John', 'Jesus lays down his life for the sheep.', []],
+  ['grace-alone', 'Grace Alone', 'Ephesians 2:1-10', 'Rev. Jones', 'Ephesians', 'Saved by grace through faith.', []],
+  ['the-prodigal', 'The Prodigal Son', 'Luke 15:11-32', 'Rev. Smith', 'Parables', 'Grace for the son who came home.', []],
+  ['shepherd-psalm', 'The Lord Is My Shepherd', 'Psalms 23', 'Rev. Jones', 'Psalms', 'Goodness and mercy follow the sheep.', []]
+];
+
+function searchIndex(docs = SERMONS) {
+  return createSearchIndex({
+    fields: ['id', 'title', 'scripture', 'speaker', 'series', 'text', 'passages'],
+    books: BIBLE_BOOKS.map((book) => [book.osis, book.name, VERSE_COUNTS[book.osis]]),
+    docs
+  });
+}
+
+// Index of a book in the index's books list
+function book(osis) {
+  return BOOKS_BY_OSIS.get(osis).order - 1;
+}
+
+function ids(results) {
+  return results.map((result) => result.id);
+}
+
+describe('query', () => {
+  it('finds sermons by an exact word, ignoring case and accents', () => {
+    const search = searchIndex();
+    assert.deepEqual(ids(search.query('prodigal')), ['the-prodigal']);
+    assert.deepEqual(ids(search.query('PRÓDIGAL')), ['the-prodigal']);
+    assert.deepEqual(search.query('prodigal')[0].terms, new Set(['prodigal']));
+  });
+
+  it('needs every word of the query to match', () => {
+    const search = searchIndex();
+    assert.deepEqual(ids(search.query('shepherd psalms')), ['shepherd-psalm']);
+    assert.deepEqual(search.query('shepherd leviticus'), []);
+  });
+
+  it('skips common words unless that is all there is', () => {
+    const search = searchIndex();
+    assert.deepEqual(ids(search.query('the prodigal')), ['the-prodigal']);
+    assert.equal(search.query('the').length, 3);
+    assert.deepEqual(search.query(''), []);
+  });
+
+  it('forgives a one-letter typo in a longer word', () => {
+    const search = searchIndex();
+    // Missing, extra, wrong and swapped letters
+    assert.deepEqual(ids(search.query('shepard')), ['the-good-shepherd', 'shepherd-psalm']);
+    assert.deepEqual(ids(search.query('gracee')), ids(search.query('grace')));
+    assert.deepEqual(ids(search.query('prodigel')), ['the-prodigal']);
+    assert.deepEqual(ids(search.query('gaith')), ['grace-alone']);
+    assert.deepEqual(ids(search.query('graec')), ids(search.query('grace')));
+  });
+
+  it('needs short words to be spelled right', () => {
+    const search = searchIndex();
+    assert.deepEqual(ids(search.query('son')), ['the-prodigal']);
+    assert.deepEqual(search.query('sun'), []);
+  });
+
+  it('matches words still being typed', () => {
+    const search = searchIndex();
+    assert.deepEqual(ids(search.query('prod')), ['the-prodigal']);
+  });
+
+  it('ranks an exact word above a typo', () => {
+    const search = searchIndex([
+      ['typo', 'Faithful', '', '', '', '', []],
+      ['exact', 'Faith', '', '', '', '', []]
+    ]);
+    const results = search.query('faith');
+    assert.deepEqual(ids(results), ['exact', 'typo']);
+    assert.ok(results[0].score > results[1].score);
+  });
+
+  it('ranks a title match above the same word in the description', () => {
+    const search = searchIndex();
+    // Archive order has the Prodigal Son after Grace Alone either way
+    assert.deepEqual(ids(search.query('grace')), ['grace-alone', 'the-prodigal']);
+    assert.deepEqual(ids(search.query('sheep')), ['the-good-shepherd', 'shepherd-psalm']);
+  });
+
+  it('ranks by field weight: title, scripture, series, speaker, description', () => {
+    const search = searchIndex([
+      ['text', '', '', '', '', 'Hope', []],
+      ['speaker', '', '', 'Hope', '', '', []],
+      ['series', '', '', '', 'Hope', '', []],
+      ['scripture', '', 'Hope', '', '', '', []],
+      ['title', 'Hope', '', '', '', '', []]
+    ]);
+    assert.deepEqual(ids(search.query('hope')), ['title', 'scripture', 'series', 'speaker', 'text']);
+  });
+
+  it('puts titles that hold the whole phrase first', () => {
+    const search = searchIndex([
+      ['scattered', 'Good News', '', '', '', 'The shepherd', []],
+      ['phrase', 'Good Shepherd', '', '', '', 'News', []]
+    ]);
+    // Both have both words in the title or description
+    assert.deepEqual(ids(search.query('good shepherd')), ['phrase', 'scattered']);
+  });
+
+  it('keeps archive order for equal scores', () => {
+    const search = searchIndex();
+    assert.deepEqual(ids(search.query('smith')), ['the-good-shepherd', 'the-prodigal']);
+  });
+});
+
+describe('editDistance', () => {
+  it('counts a swap of neighbouring letters as one edit', () => {
+    assert.equal(editDistance('grace', 'graec', 2), 1);
+    assert.equal(editDistance('grace', 'grace', 2), 0);
+  });
+
+  it('stops counting past the limit', () => {
+    assert.equal(editDistance('shepherd', 'mercy', 2), 3);
+  });
+});
+
+describe('excerpt', () => {
+  it('cuts a snippet around the first matched word', () => {
+    const text = `${'Lorem ipsum dolor sit amet. '.repeat(10)}Mercy triumphs over judgment. ${'Consectetur adipiscing elit. '.repeat(10)}`;
+    const snippet = excerpt(text, new Set(tokenize('mercy')));
+    assert.match(snippet, /^… .*Mercy triumphs over judgment\..* …$/);
+    assert.ok(snippet.length < 200);
+  });
+
+  it('is empty when nothing matches', () => {
+    assert.equal(excerpt('Grace alone', new Set(['works'])), '');
+  });
+});
+
+describe('parsePassage', () => {
+  const search = searchIndex();
+  const label = (text) => search.parsePassage(text)?.label ?? null;
+
+  it('reads references however they are written', () => {
+    assert.equal(label('John 3:16'), 'John 3:16');
+    assert.equal(label('Jn 3:16-18'), 'John 3:16-18');
+    assert.equal(label('john 3:16–4:2'), 'John 3:16-4:2');
+    assert.equal(label('1 Cor 13:4'), '1 Corinthians 13:4');
+    assert.equal(label('I Corinthians 13'), '1 Corinthians 13');
+    assert.equal(label('Psalm 23'), 'Psalms 23');
+  });
+
+  it('takes a number after a verse as a verse, otherwise as a chapter', () => {
+    assert.deepEqual(
+      search.parsePassage('John 3:16-18'),
+      { book: book('John'), bookName: 'John', startChapter: 3, startVerse: 16, endChapter: 3, endVerse: 18, wholeChapters: false, label: 'John 3:16-18', osis: 'John.3.16-John.3.18' }
+    );
+    assert.deepEqual(
+      search.parsePassage('Romans 8-9'),
+      { book: book('Rom'), bookName: 'Romans', startChapter: 8, startVerse: 1, endChapter: 9, endVerse: VERSE_COUNTS.Rom[8], wholeChapters: true, label: 'Romans 8-9', osis: 'Rom.8-Rom.9' }
+    );
+  });
+
+  it('reads one-chapter books by verse', () => {
+    assert.equal(label('Jude 3'), 'Jude 1:3');
+  });
+
+  it('stops a range at the end of the chapter', () => {
+    assert.equal(label('Psalms 23:1-99'), 'Psalms 23:1-6');
+  });
+
+  it('turns down chapters and verses that do not exist, and plain words', () => {
+    assert.equal(label('John 30:1'), null);
+    assert.equal(label('John 3:40'), null);
+    assert.equal(label('John 3:18-16'), null);
+    assert.equal(label('grace alone'), null);
+    assert.equal(label(''), null);
+  });
+});
+
+describe('passageQuery', () => {
+  const search = searchIndex([
+    ['chapter', '', '', '', '', '', [[book('John'), 3, 1, 3, 36]]],
+    ['other-book', '', '', '', '', '', [[book('1John'), 3, 16, 3, 16]]],
+    ['two-passages', '', '', '', '', '', [[book('Rom'), 5, 8, 5, 8], [book('John'), 3, 16, 3, 21]]],
+    ['next-chapter', '', '', '', '', '', [[book('John'), 4, 1, 4, 10]]],
+    ['nearby', '', '', '', '', '', [[book('John'), 3, 14, 3, 18]]],
+    ['exact', '', '', '', '', '', [[book('John'), 3, 16, 3, 16]]],
+    ['across-chapters', '', '', '', '', '', [[book('John'), 2, 23, 3, 21]]]
+  ]);
+
+  it('ranks sermons by how closely their passages overlap', () => {
+    const results = search.passageQuery(search.parsePassage('John 3:16'));
+    assert.deepEqual(ids(results), ['exact', 'nearby', 'two-passages', 'across-chapters', 'chapter']);
+    assert.equal(results[0].score, 1);
+    // One verse of five, and of six
+    assert.equal(results[1].score, 1 / 5);
+    assert.equal(results[2].score, 1 / 6);
+  });
+
+  it('counts verses across chapter boundaries', () => {
+    // John 2:23-25 and 3:1-21 against the whole of chapter 3
+    const results = search.passageQuery(search.parsePassage('John 3'));
+    const acrossChapters = results.find((result) => result.id === 'across-chapters');
+    assert.equal(acrossChapters.score, 21 / 39);
+    assert.equal(results.find((result) => result.id === 'chapter').score, 1);
+  });
+
+  it('leaves out other books and passages that do not overlap', () => {
+    assert.deepEqual(ids(search.passageQuery(search.parsePassage('John 4:11'))), []);
+    assert.deepEqual(ids(search.passageQuery(search.parsePassage('1 John 3:16'))), ['other-book']);
+  });
+});
+
+describe('passageSearch', () => {
+  const search = searchIndex();
+
+  it('links to a passage by its OSIS form, keeping other parameters', () => {
+    assert.equal(passageSearch('', search.parsePassage('John 3:16')), '?passage=John.3.16');
+    assert.equal(passageSearch('?utm_source=bulletin&passage=Ps.23', search.parsePassage('Romans 8-9')), '?utm_source=bulletin&passage=Rom.8-Rom.9');
+  });
+
+  it('drops the passage once there is no lookup', () => {
+    assert.equal(passageSearch('?passage=John.3.16', null), '');
+    assert.equal(passageSearch('?passage=John.3.16&utm_source=bulletin', null), '?utm_source=bulletin');
+  });
+
+  it('reads its links back as the same passage', () => {
+    for (const text of ['John 3:16', 'John 3:16-4:2', 'Romans 8-9', '1 Cor 13:4', 'Jude 3', 'Psalms 23']) {
+      const passage = search.parsePassage(text);
+      const linked = new URLSearchParams(passageSearch('', passage)).get('passage');
+      assert.deepEqual(search.parsePassage(linked), passage, text);
+    }
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * Sermon helper tests (lib/sermons.js)
+ *
+ * The last group runs the whole sermons data file against the recorded
+ * feed in test/fixtures/feeds/ (offline mode, see lib/fixtures.js).
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import {
+  compareBooks,
+  datedRecords,
+  findScripture,
+  formatDuration,
+  formatPassages,
+  linkHost,
+  osisToPassages,
+  parseDurationToSeconds,
+  parseScripture,
+  seasonNumber,
+  stripHtml
+} from '../lib/sermons.js';
+
+function normalized(text) {
+  return formatPassages(parseScripture(text).passages);
+}
+
+describe('parseScripture', () => {
+  it('reads numbered books however they are written', () => {
+    assert.equal(normalized('1 Corinthians 13'), '1 Corinthians 13');
+    assert.equal(normalized('1 Cor 13:4-7'), '1 Corinthians 13:4-7');
+    assert.equal(normalized('II Kings 2:1-14'), '2 Kings 2:1-14');
+    assert.equal(normalized('First Peter 1:3'), '1 Peter 1:3');
+    assert.equal(normalized('1Jn 4:7-21'), '1 John 4:7-21');
+    assert.equal(normalized('3 John 1-4'), '3 John 1:1-4');
+  });
+
+  it('keeps 1, 2 and 3 John apart from the Gospel', () => {
+    assert.equal(parseScripture('John 3:16').passages[0].bookOsis, 'John');
+    assert.equal(parseScripture('1 John 3:16').passages[0].bookOsis, '1John');
+    assert.equal(parseScripture('2 John 6').passages[0].bookOsis, '2John');
+  });
+
+  it('corrects misspellings like "Galations"', () => {
+    assert.equal(normalized('Galations 5:16-26'), 'Galatians 5:16-26');
+    assert.equal(normalized('Phillipians 4:4'), 'Philippians 4:4');
+    assert.equal(normalized('Ecclesiates 3:1-8'), 'Ecclesiastes 3:1-8');
+  });
+
+  it('uses full book names and knows whole chapters from verse ranges', () => {
+    const [chapter] = parseScripture('Romans 8').passages;
+    const [verses] = parseScripture('Romans 8:1-39').passages;
+
+    assert.equal(chapter.book, 'Romans');
+    assert.equal(chapter.wholeChapters, true);
+    assert.equal(verses.wholeChapters, true);
+    assert.equal(normalized('Psalm 23'), 'Psalms 23');
+    assert.equal(normalized('Song of Songs 2'), 'Song of Solomon 2');
+  });
+
+  it('reads one-chapter books as verses', () => {
+    assert.equal(normalized('Jude 3'), 'Jude 1:3');
+    assert.equal(normalized('Philemon 8-16'), 'Philemon 1:8-16');
+  });
+
+  it('returns the reference as written along with the passages', () => {
+    const result = parseScripture('Galations 5:16-26 Sermon');
+
+    assert.equal(result.text, 'Galations 5:16-26');
+    assert.equal(result.passages[0].osis, 'Gal.5.16-Gal.5.26');
+  });
+
+  it('returns nothing for text without a reference', () => {
+    assert.deepEqual(parseScripture('Thanksgiving Eve Service'), { text: '', passages: [] });
+    assert.deepEqual(parseScripture(''), { text: '', passages: [] });
+    assert.deepEqual(parseScripture(undefined), { text: '', passages: [] });
+  });
+});
+
+describe('osisToPassages', () => {
+  it('splits ranges that cross into the next book', () => {
+    const passages = osisToPassages('Gen.50-Exod.2');
+
+    assert.deepEqual(passages.map((p) => p.osis), ['Gen.50.1-Gen.50.26', 'Exod.1.1-Exod.2.25']);
+  });
+
+  it('ignores unknown books', () => {
+    assert.deepEqual(osisToPassages('Tob.1.1'), []);
+  });
+});
+
+describe('formatPassages', () => {
+  it('repeats the book name only when it changes', () => {
+    assert.equal(normalized('Genesis 1:1; 2:4, John 3'), 'Genesis 1:1; 2:4; John 3');
+  });
+
+  it('formats ranges across chapters', () => {
+    assert.equal(normalized('Romans 8:12-9:5'), 'Romans 8:12-9:5');
+    assert.equal(normalized('Romans 8-9'), 'Romans 8-9');
+  });
+});
+
+describe('findScripture', () => {
+  it('reads the text from the start of a Substack description', () => {
+    const item = { description: '<p>Acts 2:42-47 Sermon</p><p>See also Joel 2:28.</p>', title: 'The Early Church' };
+
+    assert.equal(formatPassages(findScripture(item).passages), 'Acts 2:42-47');
+  });
+
+  it('falls back to the title, then the subtitle', () => {
+    assert.equal(formatPassages(findScripture({ description: '<p>Morning service</p>', title: 'Ephesians 2:1-10' }).passages), 'Ephesians 2:1-10');
+    assert.equal(formatPassages(findScripture({ description: '', title: 'Grace Alone', subtitle: 'Eph 2:8-9' }).passages), 'Ephesians 2:8-9');
+  });
+
+  it('prefers a scripture given by a local archive entry', () => {
+    const item = { scripture: 'Mark 1:1-8', description: 'Isaiah 40 is quoted here', title: 'The Beginning' };
+
+    assert.equal(formatPassages(findScripture(item).passages), 'Mark 1:1-8');
+  });
+});
+
+describe('durations', () => {
+  it('parses Substack seconds and SermonAudio H:MM:SS or MM:SS', () => {
+    assert.equal(parseDurationToSeconds('2710'), 2710);
+    assert.equal(parseDurationToSeconds(2710), 2710);
+    assert.equal(parseDurationToSeconds('1:02:03'), 3723);
+    assert.equal(parseDurationToSeconds('0:45:10'), 2710);
+    assert.equal(parseDurationToSeconds('45:10'), 2710);
+  });
+
+  it('treats missing or unreadable durations as zero', () => {
+    assert.equal(parseDurationToSeconds(''), 0);
+    assert.equal(parseDurationToSeconds(undefined), 0);
+    assert.equal(parseDurationToSeconds('about an hour'), 0);
+  });
+
+  it('formats as M:SS under an hour and H:MM:SS over', () => {
+    assert.equal(formatDuration(2710), '45:10');
+    assert.equal(formatDuration(65), '1:05');
+    assert.equal(formatDuration(3723), '1:02:03');
+    assert.equal(formatDuration(3600), '1:00:00');
+    assert.equal(formatDuration('2710'), '45:10');
+    assert.equal(formatDuration(0), '');
+  });
+
+  it('round-trips H:MM:SS', () => {
+    assert.equal(formatDuration(parseDurationToSeconds('1:05:09')), '1:05:09');
+  });
+});
+
+describe('compareBooks', () => {
+  it('sorts books in canonical order, numbered books included', () => {
+    const books = ['Romans', '1 John', 'Genesis', 'John', '2 Samuel', '1 Samuel', 'Revelation', 'Psalms'];
+
+    assert.deepEqual(books.sort(compareBooks), ['Genesis', '1 Samuel', '2 Samuel', 'Psalms', 'John', 'Romans', '1 John', 'Revelation']);
+  });
+
+  it('puts unknown names last', () => {
+    assert.deepEqual(['Tobit', 'Jude', 'Genesis'].sort(compareBooks), ['Genesis', 'Jude', 'Tobit']);
+  });
+});
+
+describe('stripHtml', () => {
+  it('turns description HTML into one line of text', () => {
+    assert.equal(stripHtml('<p>Romans 8:1-11 Sermon</p><p>No&nbsp;condemnation &amp; life</p>'), 'Romans 8:1-11 Sermon No condemnation & life');
+  });
+});
+
+describe('linkHost', () => {
+  it('labels a link with its site', () => {
+    assert.equal(linkHost('https://www.sermonaudio.com/sermoninfo.asp?SID=42'), 'sermonaudio.com');
+    assert.equal(linkHost('https://spencermillsopc.substack.com/p/in-the-beginning'), 'spencermillsopc.substack.com');
+  });
+
+  it('leaves relative, malformed and missing links unlabelled', () => {
+    assert.equal(linkHost('/sermons/in-the-beginning/'), '');
+    assert.equal(linkHost('sermonaudio.com/sermon/42'), '');
+    assert.equal(linkHost(undefined), '');
+  });
+});
+
+describe('seasonNumber', () => {
+  it('uses the season set in sermonSeries.js', () => {
+    assert.equal(seasonNumber('Romans', { Romans: { season: 3 } }), 3);
+    assert.equal(seasonNumber('Romans', { Romans: { season: '3' } }), 3);
+  });
+
+  it('makes up no season for a series without one', () => {
+    assert.equal(seasonNumber('Romans'), null);
+    assert.equal(seasonNumber('Romans', { Romans: { description: 'Paul to the Romans' } }), null);
+    assert.equal(seasonNumber('Romans', { Romans: { season: 0 } }), null);
+    assert.equal(seasonNumber('Romans', { Romans: { season: 2.5 } }), null);
+  });
+});
+
+describe('datedRecords', () => {
+  it('skips sermons without a readable date and says which', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    const records = [
+      { title: 'In the Beginning', date: '2018-04-22T12:00:00Z', guid: 'local:2018-04-22-in-the-beginning' },
+      { title: 'Undated', date: '', guid: 'local:-undated' },
+      { title: 'Someday', date: 'Sunday morning', guid: 'substack:post:1' },
+      { title: 'No Date Field', guid: 'substack:post:2' }
+    ];
+
+    assert.deepEqual(datedRecords(records, 'Archive').map((r) => r.title), ['In the Beginning']);
+    assert.equal(warn.mock.callCount(), 3);
+    assert.match(warn.mock.calls[0].arguments[0], /Archive sermon local:-undated/);
+    assert.match(warn.mock.calls[1].arguments[0], /substack:post:1: "Sunday morning" is not a date/);
+    warn.mock.restore();
+  });
+});
+
+describe('sermons data (recorded feed)', () => {
+  let sermons;
+  const env = { ...process.env };
+
+  before(async () => {
+    process.env.DATA_FIXTURES = '1';
+    mock.method(console, 'log', () => {});
+    const { default: loadSermons } = await import('../src/_data/sermons.js');
+    sermons = await loadSermons();
+  });
+
+  after(() => {
+    mock.restoreAll();
+    process.env = { ...env };
+  });
+
+  it('normalizes misspelled references from the feed', () => {
+    const sermon = sermons.items.find((s) => s.title === 'The Fruit of the Spirit');
+
+    assert.equal(sermon.scripture, 'Galations 5:16-26');
+    assert.equal(sermon.scriptureNormalized, 'Galatians 5:16-26');
+    assert.equal(sermon.book, 'Galatians');
+  });
+
+  it('formats Substack durations', () => {
+    const sermon = sermons.items.find((s) => s.title === 'The Fruit of the Spirit');
+
+    assert.equal(sermon.durationSeconds, 2710);
+    assert.equal(sermon.duration, '45:10');
+  });
+
+  it('only gives speakers photos that are in src/', () => {
+    for (const speaker of sermons.speakers.filter((s) => s.photo)) {
+      assert.ok(existsSync(new URL(`../src${speaker.photo}`, import.meta.url)), speaker.photo);
+    }
+  });
+
+  it('gives each sermon the books of all its passages', () => {
+    const sermon = sermons.items.find((s) => s.scriptureNormalized === 'Romans 8:12-9:5; Ezekiel 36:26');
+
+    assert.equal(sermon.book, 'Romans');
+    assert.deepEqual(sermon.bookCodes, ['Rom', 'Ezek']);
+  });
+
+  it('lists every book preached from, in canonical order', () => {
+    const names = sermons.meta.books.map((book) => book.name);
+
+    assert.deepEqual(names, [...names].sort(compareBooks));
+    assert.ok(sermons.meta.books.some((book) => book.osis === 'Ezek' && book.name === 'Ezekiel'));
+  });
+});
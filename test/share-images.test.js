@@ -0,0 +1,167 @@
+/**
+ * Share image tests (lib/share-images.js)
+ *
+ * These use the real fonts from @fontsource and render real PNGs.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import {
+  ARTWORK_SIZE,
+  HEIGHT,
+  WIDTH,
+  createShareImages,
+  fitText,
+  loadAssets,
+  podcastArtworkSvg,
+  shareCard,
+  shareImagePath,
+  shareImageSvg,
+  textWidth,
+  wrapText
+} from '../lib/share-images.js';
+
+const SITE_TITLE = 'Spencer Mills Orthodox Presbyterian Church';
+
+let fonts;
+let tmp;
+
+before(async () => {
+  ({ fonts } = await loadAssets());
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'share-images-test-'));
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+describe('shareCard', () => {
+  it('takes the heading from the page title', () => {
+    assert.deepEqual(shareCard(`Leadership - ${SITE_TITLE}`, undefined, SITE_TITLE), { eyebrow: '', title: 'Leadership', subtitle: '', byline: '' });
+    assert.deepEqual(shareCard(SITE_TITLE, undefined, SITE_TITLE), { eyebrow: '', title: SITE_TITLE, subtitle: '', byline: '' });
+  });
+
+  it('puts the section above the heading', () => {
+    const card = shareCard(`Men&#39;s Breakfast - Q&amp;A - Events - ${SITE_TITLE}`, undefined, SITE_TITLE);
+    assert.equal(card.eyebrow, 'Events');
+    assert.equal(card.title, "Men's Breakfast - Q&A");
+  });
+
+  it('uses the Scripture, speaker and date a sermon gives', () => {
+    const share = { eyebrow: 'Sermon', title: 'Faith &amp; Works', scripture: 'James 2:14-26', speaker: 'Rev. Marc Scaturro', date: 'October 4, 2026' };
+    assert.deepEqual(shareCard(`Faith &amp; Works - Sermons - ${SITE_TITLE}`, share, SITE_TITLE), {
+      eyebrow: 'Sermon',
+      title: 'Faith & Works',
+      subtitle: 'James 2:14-26',
+      byline: 'Rev. Marc Scaturro · October 4, 2026'
+    });
+    assert.equal(shareCard('', { title: 'Untitled', speaker: 'Guest Preacher', scripture: '' }, SITE_TITLE).byline, 'Guest Preacher');
+  });
+});
+
+describe('text layout', () => {
+  it('wraps at word boundaries within the width', () => {
+    const lines = wrapText(fonts.display, 'The Lord Is My Shepherd and I Shall Not Want', 72, 600);
+    assert.ok(lines.length > 1);
+    assert.equal(lines.join(' '), 'The Lord Is My Shepherd and I Shall Not Want');
+    for (const line of lines) assert.ok(textWidth(fonts.display, line, 72) <= 600);
+  });
+
+  it('picks the largest size that fits', () => {
+    const text = 'Spencer Mills Orthodox Presbyterian Church';
+    assert.equal(fitText(fonts.display, text, { sizes: [84, 72], maxWidth: 1040, maxLines: 3 }).size, 84);
+    assert.equal(fitText(fonts.display, text, { sizes: [84, 40], maxWidth: 1040, maxLines: 1 }).size, 40);
+  });
+
+  it('cuts off what does not fit at the smallest size', () => {
+    const { size, lines } = fitText(fonts.display, 'one two three four five six seven eight nine ten', { sizes: [60], maxWidth: 300, maxLines: 2 });
+    assert.equal(size, 60);
+    assert.equal(lines.length, 2);
+    assert.match(lines[1], /…$/);
+    assert.ok(textWidth(fonts.display, lines[1], 60) <= 300);
+  });
+});
+
+describe('shareImagePath', () => {
+  it('names the image after the page', () => {
+    assert.equal(shareImagePath('/'), '/share/index.png');
+    assert.equal(shareImagePath('/leadership/'), '/share/leadership.png');
+    assert.equal(shareImagePath('/sermons/in-the-beginning/'), '/share/sermons/in-the-beginning.png');
+    assert.equal(shareImagePath('/404.html'), '/share/404.png');
+  });
+});
+
+describe('shareImageSvg', () => {
+  it('draws the text as outlines on the brand background', async () => {
+    const svg = shareImageSvg(shareCard(`Leadership - ${SITE_TITLE}`, undefined, SITE_TITLE), await loadAssets(), { host: 'spencermillsopc.org' });
+    assert.match(svg, new RegExp(`^<svg [^>]*width="${WIDTH}" height="${HEIGHT}"`));
+    assert.match(svg, /<rect width="1200" height="630" fill="#1c3138"\/>/);
+    assert.match(svg, /<image [^>]*href="data:image\/svg\+xml;base64,/);
+    assert.doesNotMatch(svg, /<text/);
+    assert.equal(svg.match(/<path /g).length, 2);
+  });
+});
+
+describe('podcastArtworkSvg', () => {
+  it('draws square artwork with the brand mark and the church\'s name', async () => {
+    const svg = podcastArtworkSvg(await loadAssets(), { name: 'Spencer Mills OPC', place: 'Gowen, MI' });
+    assert.match(svg, new RegExp(`^<svg [^>]*width="${ARTWORK_SIZE}" height="${ARTWORK_SIZE}"`));
+    assert.ok(ARTWORK_SIZE >= 1400);
+    assert.match(svg, /<image [^>]*href="data:image\/svg\+xml;base64,/);
+    assert.equal(svg.match(/<path /g).length, 3);
+    assert.equal(podcastArtworkSvg(await loadAssets(), { name: 'Spencer Mills OPC' }).match(/<path /g).length, 2);
+  });
+});
+
+describe('createShareImages', () => {
+  it('writes a PNG for each page and reuses unchanged ones', async () => {
+    const outputDir = path.join(tmp, '_site');
+    const cacheDir = path.join(tmp, 'cache');
+    const card = shareCard(`Leadership - ${SITE_TITLE}`, undefined, SITE_TITLE);
+
+    const first = createShareImages({ outputDir, cacheDir, siteUrl: 'https://spencermillsopc.org' });
+    const url = await first.register('/leadership/', card);
+    assert.match(url, /^\/share\/leadership\.png\?v=[0-9a-f]{12}$/);
+    assert.deepEqual(await first.write(), { written: 1, rendered: 1 });
+
+    const png = await sharp(path.join(outputDir, 'share/leadership.png')).metadata();
+    assert.deepEqual([png.format, png.width, png.height], ['png', WIDTH, HEIGHT]);
+
+    const second = createShareImages({ outputDir, cacheDir, siteUrl: 'https://spencermillsopc.org' });
+    assert.equal(await second.register('/leadership/', card), url);
+    assert.match(await second.register('/give/', { ...card, title: 'Give' }), /^\/share\/give\.png\?v=/);
+    assert.deepEqual(await second.write(), { written: 2, rendered: 1 });
+  });
+
+  it('writes the podcast artwork where it is asked for', async () => {
+    const outputDir = path.join(tmp, 'artwork-site');
+    const images = createShareImages({ outputDir, cacheDir: path.join(tmp, 'artwork-cache') });
+    const url = await images.registerArtwork('/sermons/artwork.png', { name: 'Spencer Mills OPC', place: 'Gowen, MI' });
+
+    assert.match(url, /^\/sermons\/artwork\.png\?v=[0-9a-f]{12}$/);
+    await images.write();
+    const png = await sharp(path.join(outputDir, 'sermons/artwork.png')).metadata();
+    assert.deepEqual([png.format, png.width, png.height], ['png', ARTWORK_SIZE, ARTWORK_SIZE]);
+  });
+
+  it('renders an image shared by several pages once', async () => {
+    const outputDir = path.join(tmp, 'shared-site');
+    const cacheDir = path.join(tmp, 'shared-cache');
+    const card = shareCard(`Morning Worship - Events - ${SITE_TITLE}`, undefined, SITE_TITLE);
+    const weeks = ['2026-11-01', '2026-11-08', '2026-11-15', '2026-11-22'];
+
+    const images = createShareImages({ outputDir, cacheDir, concurrency: 4 });
+    for (const week of weeks) await images.register(`/events/${week}-morning-worship/`, card);
+    assert.deepEqual(await images.write(), { written: 4, rendered: 1 });
+
+    assert.equal((await fs.readdir(cacheDir)).length, 1);
+    const cached = await fs.readFile(path.join(cacheDir, (await fs.readdir(cacheDir))[0]));
+    for (const week of weeks) {
+      assert.ok(cached.equals(await fs.readFile(path.join(outputDir, `share/events/${week}-morning-worship.png`))));
+    }
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Data snapshot tests (lib/snapshots.js)
+ *
+ * Each case gets its own snapshot (and fixture) directory under the system
+ * temp folder.
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { formatAge, loadWithSnapshot, noDataFallback } from '../lib/snapshots.js';
+
+const SAVED = new Date('2026-10-17T11:00:00Z');
+const LATER = new Date('2026-10-19T11:00:00Z');
+
+const parseList = (text) => {
+  const items = JSON.parse(text);
+  if (items.length === 0) throw new Error('empty feed');
+  return items;
+};
+
+const ok = (items) => async () => JSON.stringify(items);
+const down = async () => { throw new Error('getaddrinfo ENOTFOUND'); };
+
+describe('loadWithSnapshot', () => {
+  let dir;
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'snapshots-'));
+    process.env.DATA_SNAPSHOT_DIR = dir;
+    delete process.env.FAIL_ON_DATA_ERROR;
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    rmSync(dir, { recursive: true, force: true });
+    process.env = { ...env };
+  });
+
+  it('returns fresh data and no snapshot when the fetch works', async () => {
+    const result = await loadWithSnapshot('feed', { fetch: ok(['a']), parse: parseList, now: SAVED });
+
+    assert.deepEqual(result.data, ['a']);
+    assert.equal(result.snapshot, null);
+  });
+
+  it('falls back to the last good copy and says how old it is', async () => {
+    await loadWithSnapshot('feed', { fetch: ok(['a', 'b']), parse: parseList, now: SAVED });
+    const result = await loadWithSnapshot('feed', { fetch: down, parse: parseList, now: LATER });
+
+    assert.deepEqual(result.data, ['a', 'b']);
+    assert.equal(result.snapshot.savedAt, '2026-10-17T11:00:00.000Z');
+    assert.equal(result.snapshot.age, '2 days');
+    assert.equal(result.snapshot.error, 'getaddrinfo ENOTFOUND');
+    assert.ok(console.warn.mock.calls.some((call) => /Using the snapshot/.test(call.arguments[0])));
+  });
+
+  it('treats a response the parser rejects as a failure and keeps the old snapshot', async () => {
+    await loadWithSnapshot('feed', { fetch: ok(['a']), parse: parseList, now: SAVED });
+    const empty = await loadWithSnapshot('feed', { fetch: ok([]), parse: parseList, now: LATER });
+    const again = await loadWithSnapshot('feed', { fetch: down, parse: parseList, now: LATER });
+
+    assert.deepEqual(empty.data, ['a']);
+    assert.equal(empty.snapshot.error, 'empty feed');
+    assert.deepEqual(again.data, ['a']);
+  });
+
+  it('rethrows the fetch error when there is no snapshot', async () => {
+    await assert.rejects(loadWithSnapshot('feed', { fetch: down, parse: parseList }), /ENOTFOUND/);
+  });
+
+  it('reads the fixture instead in offline mode, without touching snapshots', async () => {
+    mock.method(console, 'log', () => {});
+    writeFileSync(path.join(dir, 'feed.fixture.json'), JSON.stringify(['recorded']));
+    process.env.DATA_FIXTURES = dir;
+
+    const result = await loadWithSnapshot('feed', { fetch: down, parse: parseList, fixture: 'feed.fixture.json' });
+
+    assert.deepEqual(result.data, ['recorded']);
+    assert.equal(result.snapshot, null);
+    assert.ok(!existsSync(path.join(dir, 'feed.json')));
+  });
+
+  it('says how to get a missing fixture', async () => {
+    mock.method(console, 'log', () => {});
+    process.env.DATA_FIXTURES = dir;
+
+    await assert.rejects(loadWithSnapshot('feed', { fetch: ok(['a']), parse: parseList, fixture: 'missing.rss' }), /fixtures:refresh/);
+  });
+});
+
+describe('noDataFallback', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.FAIL_ON_DATA_ERROR;
+  });
+
+  it('warns and carries on by default', () => {
+    mock.method(console, 'warn', () => {});
+
+    assert.doesNotThrow(() => noDataFallback('Calendar', new Error('HTTP 503')));
+    assert.match(console.warn.mock.calls[0].arguments[0], /Publishing it EMPTY/);
+  });
+
+  it('fails the build when FAIL_ON_DATA_ERROR is set', () => {
+    process.env.FAIL_ON_DATA_ERROR = '1';
+
+    assert.throws(() => noDataFallback('Calendar', new Error('HTTP 503')), /Calendar: no data \(HTTP 503\)/);
+  });
+});
+
+describe('formatAge', () => {
+  it('reads in hours for two days, then days', () => {
+    assert.equal(formatAge(20 * 60 * 1000), 'less than an hour');
+    assert.equal(formatAge(60 * 60 * 1000), '1 hour');
+    assert.equal(formatAge(47 * 60 * 60 * 1000), '47 hours');
+    assert.equal(formatAge(5 * 24 * 60 * 60 * 1000), '5 days');
+  });
+});
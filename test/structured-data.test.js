@@ -0,0 +1,200 @@
+/**
+ * Structured data tests (lib/structured-data.js)
+ *
+ * The church comes from the real src/_data/site.js and the events from
+ * test/fixtures/export.ics through lib/calendar.js, as on the site.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import ical from 'node-ical';
+import { expandEvents } from '../lib/calendar.js';
+import {
+  churchSchema,
+  eventSchema,
+  formatTelephone,
+  isoDuration,
+  jsonLdScript,
+  nextServiceStart,
+  pageSchema,
+  parseServiceTime,
+  sermonSchema,
+  validatePageHtml,
+  validateStructuredData
+} from '../lib/structured-data.js';
+import realSite from '../src/_data/site.js';
+
+const site = { ...realSite, url: 'https://spencermillsopc.org' };
+
+function loadEvents() {
+  const text = readFileSync(new URL('./fixtures/export.ics', import.meta.url), 'utf8');
+  const events = expandEvents(ical.sync.parseICS(text), new Date('2026-11-01T00:00:00Z'), new Date('2026-12-01T00:00:00Z'));
+  for (const event of events) event.url = `/events/${event.dateKey}-test/`;
+  return events;
+}
+
+function find(title) {
+  return loadEvents().find((e) => e.title.startsWith(title));
+}
+
+const sermon = {
+  title: 'In the Beginning',
+  url: '/sermons/in-the-beginning/',
+  isoDate: '2024-09-08T14:30:00.000Z',
+  speaker: 'Rev. Marc Scaturro',
+  summary: 'Creation and the Sabbath rest.',
+  scriptureNormalized: 'Genesis 1:1–2:3',
+  durationSeconds: 2712,
+  audioUrl: 'https://example.test/in-the-beginning.mp3',
+  audioType: 'audio/mpeg'
+};
+
+describe('values', () => {
+  it('formats the phone number with the country code', () => {
+    assert.equal(formatTelephone('616.754.7832'), '+1-616-754-7832');
+    assert.equal(formatTelephone('1 (616) 754-7832'), '+1-616-754-7832');
+    assert.equal(formatTelephone('754-7832'), null);
+  });
+
+  it('reads service times', () => {
+    assert.equal(parseServiceTime('9:30am'), '09:30:00');
+    assert.equal(parseServiceTime('5:00pm'), '17:00:00');
+    assert.equal(parseServiceTime('12 p.m.'), '12:00:00');
+    assert.equal(parseServiceTime('12:15am'), '00:15:00');
+    assert.equal(parseServiceTime('after lunch'), null);
+    assert.equal(parseServiceTime('13:00pm'), null);
+  });
+
+  it('writes durations in ISO 8601', () => {
+    assert.equal(isoDuration(2712), 'PT45M12S');
+    assert.equal(isoDuration(3600), 'PT1H');
+    assert.equal(isoDuration(2400), 'PT40M');
+    assert.equal(isoDuration(0), null);
+  });
+});
+
+describe('churchSchema', () => {
+  it('describes the church and its Sunday services from site.js', () => {
+    const church = churchSchema(site);
+    assert.equal(church['@type'], 'Church');
+    assert.equal(church.telephone, '+1-616-754-7832');
+    assert.deepEqual(church.address, {
+      '@type': 'PostalAddress',
+      streetAddress: '12710 17 Mile Rd NE',
+      addressLocality: 'Gowen',
+      addressRegion: 'MI',
+      postalCode: '49326',
+      addressCountry: 'US'
+    });
+    assert.deepEqual(church.event.map((e) => [e.name, e.eventSchedule.startTime]), [
+      ['Morning Worship', '09:30:00'],
+      ['Evening Worship', '17:00:00']
+    ]);
+    assert.deepEqual(validateStructuredData({ '@context': 'https://schema.org', ...church }), []);
+  });
+
+  it('starts each service on its next Sunday', () => {
+    const church = churchSchema(site, { now: new Date('2026-10-19T12:00:00Z') });
+    assert.deepEqual(church.event.map((e) => e.startDate), ['2026-10-25T13:30:00.000Z', '2026-10-25T21:00:00.000Z']);
+  });
+});
+
+describe('nextServiceStart', () => {
+  it('moves on to next week once the service has begun', () => {
+    const sunday = new Date('2026-10-18T14:00:00Z');
+    assert.equal(nextServiceStart('09:30:00', sunday), '2026-10-25T13:30:00.000Z');
+    assert.equal(nextServiceStart('17:00:00', sunday), '2026-10-18T21:00:00.000Z');
+    assert.equal(nextServiceStart('09:30:00', new Date('2026-10-18T13:30:00Z')), '2026-10-25T13:30:00.000Z');
+  });
+
+  it('keeps church time across the change from daylight saving', () => {
+    assert.equal(nextServiceStart('09:30:00', new Date('2026-10-26T12:00:00Z')), '2026-11-01T14:30:00.000Z');
+    assert.equal(nextServiceStart(null, new Date('2026-10-26T12:00:00Z')), null);
+  });
+});
+
+describe('eventSchema', () => {
+  it('uses UTC times, or dates for all-day events', () => {
+    const hymnSing = eventSchema(find('Hymn Sing'), site);
+    assert.equal(hymnSing.startDate, '2026-11-15T23:00:00.000Z');
+    assert.equal(hymnSing.url, 'https://spencermillsopc.org/events/2026-11-15-test/');
+
+    const potluck = eventSchema(find('Fellowship Potluck'), site);
+    assert.equal(potluck.startDate, '2026-11-22');
+    assert.equal(potluck.endDate, '2026-11-22');
+  });
+
+  it('puts events at the church unless they have an address of their own', () => {
+    const atChurch = eventSchema(find('Session Meeting'), site);
+    assert.equal(atChurch.location.name, site.title);
+    assert.equal(atChurch.location.address.streetAddress, '12710 17 Mile Rd NE');
+
+    const room = eventSchema({ ...find('Session Meeting'), location: 'Pastor\u2019s Study' }, site);
+    assert.equal(room.location.name, `Pastor\u2019s Study, ${site.title}`);
+    assert.equal(room.location.address.postalCode, '49326');
+
+    const away = eventSchema(find('Hymn Sing'), site);
+    assert.equal(away.location.address, 'Fellowship Hall, 12710 17 Mile Rd NE, Gowen, MI');
+  });
+});
+
+describe('sermonSchema', () => {
+  it('is a podcast episode with its audio', () => {
+    const episode = sermonSchema(sermon, site);
+    assert.equal(episode['@type'], 'PodcastEpisode');
+    assert.equal(episode.url, 'https://spencermillsopc.org/sermons/in-the-beginning/');
+    assert.deepEqual(episode.associatedMedia, {
+      '@type': 'AudioObject',
+      contentUrl: 'https://example.test/in-the-beginning.mp3',
+      encodingFormat: 'audio/mpeg',
+      duration: 'PT45M12S'
+    });
+    assert.equal(episode.partOfSeries.webFeed, 'https://spencermillsopc.org/sermons/feed.xml');
+  });
+
+  it('leaves out sermons without audio, as the feed does', () => {
+    assert.equal(sermonSchema({ ...sermon, audioUrl: '' }, site), null);
+    assert.equal(pageSchema(site, { sermon: { ...sermon, audioUrl: '' } })['@graph'].length, 1);
+  });
+});
+
+describe('validateStructuredData', () => {
+  it('passes every kind of page', () => {
+    for (const page of [{}, { event: find('Hymn Sing') }, { event: find('Fellowship Potluck') }, { sermon }]) {
+      assert.deepEqual(validateStructuredData(JSON.parse(JSON.stringify(pageSchema(site, page)))), []);
+    }
+  });
+
+  it('reports missing properties and bad dates', () => {
+    const broken = pageSchema(
+      { ...site, phone: '', services: { morning: 'after breakfast' } },
+      { event: { ...find('Hymn Sing'), title: '' }, sermon: { ...sermon, isoDate: 'Sunday' } }
+    );
+    assert.deepEqual(validateStructuredData(JSON.parse(JSON.stringify(broken))), [
+      '@graph[0] (Church): missing telephone',
+      '@graph[0].event[0] (Event): missing startDate',
+      '@graph[0].event[0].eventSchedule (Schedule): missing startTime',
+      '@graph[1] (Event): missing name',
+      '@graph[2] (PodcastEpisode): datePublished "Sunday" is not an ISO 8601 date'
+    ]);
+    assert.deepEqual(validateStructuredData({ '@type': 'Event', startDate: '2026-11-15', location: { '@id': '#church' } }), [
+      '@context should be "https://schema.org"',
+      '$ (Event): missing name'
+    ]);
+  });
+});
+
+describe('page HTML', () => {
+  it('escapes anything that could end the script early', () => {
+    const script = jsonLdScript({ name: '</script><b>' });
+    assert.equal(script, '<script type="application/ld+json">{"name":"\\u003c/script>\\u003cb>"}</script>');
+    assert.deepEqual(JSON.parse(script.slice(35, -9)), { name: '</script><b>' });
+  });
+
+  it('checks each page has the church and valid JSON-LD', () => {
+    assert.deepEqual(validatePageHtml(`<head>${jsonLdScript(pageSchema(site, { sermon }))}</head>`), []);
+    assert.deepEqual(validatePageHtml('<head></head>'), ['no Church structured data']);
+    assert.equal(validatePageHtml('<script type="application/ld+json">{</script>').length, 2);
+  });
+});